@@ -26,6 +26,7 @@ export default {
   output: {
     file: pkg.main,
     format: 'cjs',
-    sourcemap: 'inline',
+    // Kept out of the bundle, so the size limit checks the code only
+    sourcemap: true,
   },
 }
@@ -0,0 +1,67 @@
+/** @typedef {import('vinyl')} File */
+
+function nextTurn() {
+  return new Promise((resolve) => setImmediate(resolve))
+}
+
+/**
+ * The in-process reference implementation of the async memo.
+ *
+ * Every method returns a promise, resolved on the next event loop turn,
+ * and the cells are copied in and out, like in an out-of-process store.
+ * Use it as a template for the key-value databases and cache servers.
+ */
+export default class AsyncMemo {
+  constructor() {
+    /** @type {Map<string, File[]>} */
+    this._cells = new Map()
+  }
+
+  /**
+   * @param {string} key the memo key
+   * @returns {Promise<File[]|undefined>} copy of the cell
+   */
+  async get(key) {
+    await nextTurn()
+    const cell = this._cells.get(key)
+    return cell && cell.map((file) => file.clone())
+  }
+
+  /**
+   * @param {string} key the memo key
+   * @param {File[]} cell the files to store
+   * @returns {Promise<AsyncMemo>} the memo
+   */
+  async set(key, cell) {
+    await nextTurn()
+    this._cells.set(
+      key,
+      cell.map((file) => file.clone())
+    )
+    return this
+  }
+
+  /**
+   * @param {string} key the memo key
+   * @returns {Promise<boolean>} whether the cell exists
+   */
+  async has(key) {
+    await nextTurn()
+    return this._cells.has(key)
+  }
+
+  /**
+   * @param {string} key the memo key
+   * @returns {Promise<boolean>} whether the cell existed
+   */
+  async delete(key) {
+    await nextTurn()
+    return this._cells.delete(key)
+  }
+
+  /** @returns {Promise<void>} resolved when all the cells are removed */
+  async clear() {
+    await nextTurn()
+    this._cells.clear()
+  }
+}
@@ -0,0 +1,103 @@
+import { hash, isIterable } from './helpers'
+import { rawBytes } from './compression'
+
+/** @typedef {import('vinyl')} File */
+/**
+ * @typedef {object} Blob
+ * @property {Buffer} contents - the shared contents
+ * @property {number} refs - count of the memo files using the contents
+ * @property {number} rawSize - size of the contents before the compression
+ */
+
+/** @type {WeakMap<object, BlobStore>} */
+const stores = new WeakMap()
+
+/**
+ * Content-addressed table of the memoized contents,
+ * so the byte-identical outputs of the different inputs share one buffer.
+ */
+export default class BlobStore {
+  /**
+   * @param {Map<string, File[]>} memo the memo
+   * @returns {BlobStore} the store shared by all the memo users
+   */
+  static of(memo) {
+    if (!stores.has(memo)) {
+      const store = new BlobStore()
+      if (isIterable(memo)) {
+        for (const [memoKey, cell] of memo) store.retain(memoKey, cell)
+      }
+      stores.set(memo, store)
+    }
+    return stores.get(memo)
+  }
+
+  constructor() {
+    /** @type {Map<string, Blob>} */
+    this._blobs = new Map()
+    /** @type {Map<string, string[]>} digests of the contents per cell */
+    this._cells = new Map()
+    /** @type {WeakMap<Buffer, string>} */
+    this._digests = new WeakMap()
+    this.byteLength = 0
+    this.rawByteLength = 0
+  }
+
+  /**
+   * Replaces the contents of the cell files with the shared buffers
+   * @param {string} memoKey the memo key
+   * @param {File[]} cell the memo cell
+   * @returns {void}
+   */
+  retain(memoKey, cell) {
+    const digests = cell
+      .filter((file) => file.isBuffer())
+      .map((file) => {
+        const digest = this._digest(file.contents)
+        if (!this._blobs.has(digest)) {
+          const rawSize = rawBytes(file)
+          this._blobs.set(digest, { contents: file.contents, refs: 0, rawSize })
+          this.byteLength += file.contents.byteLength
+          this.rawByteLength += rawSize
+        }
+        const blob = this._blobs.get(digest)
+        blob.refs++
+        file.contents = blob.contents
+        return digest
+      })
+
+    // Retained before released, so the unchanged contents stay
+    this.release(memoKey)
+    this._cells.set(memoKey, digests)
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @returns {void}
+   */
+  release(memoKey) {
+    const digests = this._cells.get(memoKey) || []
+    this._cells.delete(memoKey)
+    digests.forEach((digest) => {
+      const blob = this._blobs.get(digest)
+      if (--blob.refs > 0) return
+      this._blobs.delete(digest)
+      this.byteLength -= blob.contents.byteLength
+      this.rawByteLength -= blob.rawSize
+    })
+  }
+
+  clear() {
+    this._blobs.clear()
+    this._cells.clear()
+    this.byteLength = 0
+    this.rawByteLength = 0
+  }
+
+  _digest(contents) {
+    if (!this._digests.has(contents)) {
+      this._digests.set(contents, hash(contents))
+    }
+    return this._digests.get(contents)
+  }
+}
@@ -0,0 +1,71 @@
+import zlib from 'zlib'
+
+/** @typedef {import('vinyl')} File */
+
+// The property of the memo file, that describes its compressed contents
+const COMPRESSED_PROP = 'memoizeCompressed'
+
+const codecs = {
+  gzip: {
+    compress: (contents) => zlib.gzipSync(contents),
+    decompress: (contents) => zlib.gunzipSync(contents),
+  },
+}
+// Missing before Node.js 11.7
+if (typeof zlib.brotliCompressSync === 'function') {
+  codecs.brotli = {
+    compress: (contents) => zlib.brotliCompressSync(contents),
+    decompress: (contents) => zlib.brotliDecompressSync(contents),
+  }
+}
+
+/**
+ * @param {boolean|string} compress the `compress` option
+ * @returns {string|null} name of the available codec
+ */
+function codecOf(compress) {
+  if (!compress) return null
+  if (compress === true) return 'gzip'
+  if (!codecs[compress]) {
+    return compress === 'brotli' ? 'gzip' : null
+  }
+  return compress
+}
+
+/**
+ * Compresses the file contents in place, unless it gets no smaller
+ * @param {File} file the memo file
+ * @param {string} codec the codec name
+ * @returns {void}
+ */
+function compressFile(file, codec) {
+  const compressed = codecs[codec].compress(file.contents)
+  if (compressed.byteLength >= file.contents.byteLength) return
+
+  file[COMPRESSED_PROP] = { codec, size: file.contents.byteLength }
+  file.contents = compressed
+}
+
+/**
+ * Restores the original file contents in place
+ * @param {File} file the copy of the memo file
+ * @returns {void}
+ */
+function decompressFile(file) {
+  const info = file[COMPRESSED_PROP]
+  if (!info) return
+
+  file.contents = codecs[info.codec].decompress(file.contents)
+  Reflect.deleteProperty(file, COMPRESSED_PROP)
+}
+
+/**
+ * @param {File} file the memo file
+ * @returns {number} size of the original contents in bytes
+ */
+function rawBytes(file) {
+  if (file[COMPRESSED_PROP]) return file[COMPRESSED_PROP].size
+  return file.isBuffer() ? file.contents.byteLength : 0
+}
+
+export { COMPRESSED_PROP, codecOf, compressFile, decompressFile, rawBytes }
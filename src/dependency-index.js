@@ -0,0 +1,55 @@
+/** @type {WeakMap<object, DependencyIndex>} */
+const indexes = new WeakMap()
+
+/**
+ * Reverse index of the files dependencies, from the dependency path
+ * to the memo keys of the files, that depend on it.
+ */
+export default class DependencyIndex {
+  /**
+   * @param {Map<string, any>} memo the memo
+   * @returns {DependencyIndex} the index shared by all the memo users
+   */
+  static of(memo) {
+    if (!indexes.has(memo)) {
+      indexes.set(memo, new DependencyIndex())
+    }
+    return indexes.get(memo)
+  }
+
+  constructor() {
+    /** @type {Map<string, Set<string>>} */
+    this._dependents = new Map()
+    /** @type {Map<string, string>} */
+    this._hashes = new Map()
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @param {string[]} depPaths the dependencies paths
+   * @returns {void}
+   */
+  add(memoKey, depPaths) {
+    depPaths.forEach((depPath) => {
+      if (!this._dependents.has(depPath)) {
+        this._dependents.set(depPath, new Set())
+      }
+      this._dependents.get(depPath).add(memoKey)
+    })
+  }
+
+  /**
+   * @param {string} depPath the dependency path
+   * @param {string} depHash the current hash of the dependency
+   * @returns {string[]} memo keys, that became stale
+   */
+  update(depPath, depHash) {
+    const prevHash = this._hashes.get(depPath)
+    this._hashes.set(depPath, depHash)
+    if (prevHash === undefined || prevHash === depHash) return []
+
+    const stale = Array.from(this._dependents.get(depPath) || [])
+    this._dependents.delete(depPath)
+    return stale
+  }
+}
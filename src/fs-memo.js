@@ -0,0 +1,401 @@
+import fs from 'fs'
+import path from 'path'
+import File from 'vinyl'
+import { hash } from './helpers'
+import { COMPRESSED_PROP } from './compression'
+
+const INDEX_FILE = 'index.json'
+const INDEX_VERSION = 1
+const BLOBS_DIR = 'blobs'
+const STAT_DATES = ['atime', 'mtime', 'ctime', 'birthtime']
+
+/** @type {Map<string, FsMemo>} */
+const openedMemos = new Map()
+/** @type {Set<FsMemo>} the memos with the unsaved index */
+const dirtyMemos = new Set()
+
+// The pending index is saved, even if the memo is not flushed
+process.on('exit', () => dirtyMemos.forEach((memo) => memo.flush()))
+
+/**
+ * A Map-like memo, that keeps the memoized files on disk,
+ * so they survive between the gulp runs.
+ *
+ * Every cell is written to a directory of blobs and
+ * referenced by the `index.json` file. The blobs are named by
+ * their contents checksum, so the identical contents are stored once.
+ * The index is saved on `flush()` or on the process exit, so the run
+ * writes it once instead of on every change.
+ */
+export default class FsMemo {
+  /**
+   * @param {string} dir the directory to store the memo in
+   * @returns {FsMemo} the shared memo instance for the directory
+   */
+  static open(dir) {
+    const resolved = path.resolve(dir)
+    if (!openedMemos.has(resolved)) {
+      openedMemos.set(resolved, new FsMemo(resolved))
+    }
+    return openedMemos.get(resolved)
+  }
+
+  /**
+   * @param {string} dir the directory to store the memo in
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir)
+    this._indexPath = path.join(this.dir, INDEX_FILE)
+    this._blobsDir = path.join(this.dir, BLOBS_DIR)
+
+    /** @type {Map<string, object[]>} */
+    this._index = new Map()
+    /** @type {Map<string, number>} count of the entries per blob */
+    this._refs = new Map()
+
+    mkdirp(this._blobsDir)
+    this._load()
+    this._pruneBlobs()
+  }
+
+  get size() {
+    return this._index.size
+  }
+
+  /** @returns {number} size of the stored blobs in bytes */
+  get byteLength() {
+    return this._blobSizes((entry) => entry.size)
+  }
+
+  /** @returns {number} size of the stored blobs before the compression */
+  get rawByteLength() {
+    return this._blobSizes((entry) => {
+      const compressed = entry.custom && entry.custom[COMPRESSED_PROP]
+      return compressed ? compressed.size : entry.size
+    })
+  }
+
+  has(key) {
+    return this._index.has(key)
+  }
+
+  /**
+   * @param {string} key the memo key
+   * @returns {File[]|undefined} the cell or undefined if it is
+   * missing or corrupted
+   */
+  get(key) {
+    const entries = this._index.get(key)
+    if (!entries) return undefined
+
+    try {
+      return entries.map((entry) => this._readEntry(entry))
+    } catch (err) {
+      this.delete(key)
+      return undefined
+    }
+  }
+
+  /**
+   * @param {string} key the memo key
+   * @param {File[]} cell the files to store
+   * @returns {FsMemo} the memo
+   */
+  set(key, cell) {
+    const prevEntries = this._index.get(key) || []
+    const entries = cell.map((file) => this._writeEntry(file))
+    this._retain(entries)
+
+    this._index.set(key, entries)
+    this._markDirty()
+    // Released after retained, so the unchanged blobs stay
+    this._release(prevEntries)
+
+    return this
+  }
+
+  delete(key) {
+    const entries = this._index.get(key)
+    if (!entries) return false
+
+    this._index.delete(key)
+    this._markDirty()
+    this._release(entries)
+    return true
+  }
+
+  clear() {
+    this._index.clear()
+    this._refs.clear()
+    this._markDirty()
+    this._pruneBlobs()
+  }
+
+  /**
+   * Saves the index, if it has changed
+   * @returns {void}
+   */
+  flush() {
+    if (!dirtyMemos.has(this)) return
+    dirtyMemos.delete(this)
+    this._save()
+  }
+
+  keys() {
+    return this._index.keys()
+  }
+
+  *values() {
+    for (const [, cell] of this.entries()) {
+      yield cell
+    }
+  }
+
+  *entries() {
+    for (const key of Array.from(this._index.keys())) {
+      const cell = this.get(key)
+      if (cell) yield [key, cell]
+    }
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, cell] of this.entries()) {
+      callback.call(thisArg, cell, key, this)
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries()
+  }
+
+  _load() {
+    let raw = null
+    try {
+      raw = JSON.parse(fs.readFileSync(this._indexPath, 'utf8'))
+    } catch (err) {
+      return
+    }
+
+    if (!raw || raw.version !== INDEX_VERSION || !raw.entries) return
+    Object.keys(raw.entries).forEach((key) => {
+      const entries = raw.entries[key]
+      if (!Array.isArray(entries)) return
+      this._index.set(key, entries)
+      this._retain(entries)
+    })
+  }
+
+  /**
+   * @param {(entry: object) => number} sizeOf the size getter
+   * @returns {number} total size of the unique blobs
+   */
+  _blobSizes(sizeOf) {
+    const sizes = new Map()
+    for (const entries of this._index.values()) {
+      entries
+        .filter((entry) => entry.blob)
+        .forEach((entry) => sizes.set(entry.blob, sizeOf(entry)))
+    }
+    let bytes = 0
+    sizes.forEach((size) => {
+      bytes += size
+    })
+    return bytes
+  }
+
+  /**
+   * @param {object[]} entries the index entries
+   * @returns {void}
+   */
+  _retain(entries) {
+    entries
+      .filter((entry) => entry.blob)
+      .forEach((entry) => {
+        this._refs.set(entry.blob, (this._refs.get(entry.blob) || 0) + 1)
+      })
+  }
+
+  /**
+   * Removes the blobs, that are no longer referenced by any entry
+   * @param {object[]} entries the index entries
+   * @returns {void}
+   */
+  _release(entries) {
+    entries
+      .filter((entry) => entry.blob)
+      .forEach((entry) => {
+        const refs = this._refs.get(entry.blob) - 1
+        if (refs > 0) {
+          this._refs.set(entry.blob, refs)
+          return
+        }
+        this._refs.delete(entry.blob)
+        unlinkSafe(path.join(this._blobsDir, entry.blob))
+      })
+  }
+
+  _markDirty() {
+    dirtyMemos.add(this)
+  }
+
+  _save() {
+    const entries = {}
+    for (const [key, value] of this._index) {
+      entries[key] = value
+    }
+    const data = JSON.stringify({ version: INDEX_VERSION, entries })
+    writeFileAtomic(this._indexPath, data)
+  }
+
+  /**
+   * Removes the blobs, that are not referenced by the index,
+   * including the leftovers of the interrupted writes
+   * @returns {void}
+   */
+  _pruneBlobs() {
+    const known = new Set()
+    for (const entries of this._index.values()) {
+      entries.forEach((entry) => known.add(entry.blob))
+    }
+
+    fs.readdirSync(this._blobsDir)
+      .filter((name) => !known.has(name))
+      .forEach((name) => unlinkSafe(path.join(this._blobsDir, name)))
+  }
+
+  /**
+   * @param {File} file the file to write
+   * @returns {object} the index entry
+   */
+  _writeEntry(file) {
+    const entry = {
+      ...serializeFile(file),
+      blob: null,
+      size: 0,
+      checksum: null,
+    }
+    if (file.isBuffer()) {
+      entry.size = file.contents.byteLength
+      entry.checksum = hash(file.contents)
+      entry.blob = `${entry.checksum}-${entry.size}`
+      const blobPath = path.join(this._blobsDir, entry.blob)
+      if (!this._refs.has(entry.blob) || !fs.existsSync(blobPath)) {
+        writeFileAtomic(blobPath, file.contents)
+      }
+    }
+    return entry
+  }
+
+  /**
+   * @param {object} entry the index entry
+   * @returns {File} the restored file
+   */
+  _readEntry(entry) {
+    let contents = null
+    if (entry.blob) {
+      contents = fs.readFileSync(path.join(this._blobsDir, entry.blob))
+      if (
+        contents.byteLength !== entry.size ||
+        hash(contents) !== entry.checksum
+      ) {
+        throw new Error(`Corrupted memo entry: ${entry.blob}`)
+      }
+    }
+    return deserializeFile(entry, contents)
+  }
+}
+
+/**
+ * @param {File} file the file
+ * @returns {object} JSON-safe description of the file without contents
+ */
+function serializeFile(file) {
+  const custom = {}
+  Object.keys(file)
+    .filter((key) => File.isCustomProp(key) && !key.startsWith('_'))
+    .forEach((key) => {
+      const value = toJson(file[key])
+      if (value !== undefined) custom[key] = value
+    })
+
+  return {
+    cwd: file.cwd,
+    base: file.base,
+    path: file.path,
+    stat: file.stat ? serializeStat(file.stat) : null,
+    custom,
+  }
+}
+
+/**
+ * @param {object} entry the index entry
+ * @param {Buffer|null} contents the file contents
+ * @returns {File} the file
+ */
+function deserializeFile(entry, contents) {
+  const file = new File({
+    cwd: entry.cwd,
+    base: entry.base,
+    path: entry.path,
+    stat: entry.stat ? deserializeStat(entry.stat) : null,
+    contents,
+  })
+  return Object.assign(file, entry.custom)
+}
+
+function serializeStat(stat) {
+  const result = {}
+  Object.keys(stat).forEach((key) => {
+    if (typeof stat[key] === 'number') result[key] = stat[key]
+  })
+  STAT_DATES.forEach((key) => {
+    if (stat[key] instanceof Date) result[key] = stat[key].getTime()
+  })
+  return result
+}
+
+function deserializeStat(stat) {
+  const result = { ...stat }
+  STAT_DATES.forEach((key) => {
+    if (typeof stat[key] === 'number') result[key] = new Date(stat[key])
+  })
+  return result
+}
+
+function toJson(value) {
+  try {
+    const json = JSON.stringify(value)
+    return json === undefined ? undefined : JSON.parse(json)
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Writes to a temporary file first, so the interrupted write
+ * never leaves a partial file behind the target path
+ * @param {string} filePath the target path
+ * @param {string|Buffer} data the data to write
+ * @returns {void}
+ */
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(tmpPath, data)
+  fs.renameSync(tmpPath, filePath)
+}
+
+function unlinkSafe(filePath) {
+  try {
+    fs.unlinkSync(filePath)
+  } catch (err) {
+    // Already removed
+  }
+}
+
+function mkdirp(dir) {
+  if (fs.existsSync(dir)) return
+  mkdirp(path.dirname(dir))
+  fs.mkdirSync(dir)
+}
+
+export { serializeFile, deserializeFile, mkdirp }
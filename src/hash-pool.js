@@ -0,0 +1,140 @@
+import { hash } from './helpers'
+
+let Worker = null
+try {
+  // Missing before Node.js 10.5, the hashing stays inline then
+  Worker = require('worker_threads').Worker
+} catch (err) {
+  Worker = null
+}
+
+const WORKER_SOURCE = `
+const crypto = require('crypto')
+const { parentPort } = require('worker_threads')
+
+parentPort.on('message', ({ id, algorithm, data }) => {
+  try {
+    const digest = crypto
+      .createHash(algorithm)
+      .update(Buffer.from(data))
+      .digest('hex')
+    parentPort.postMessage({ id, digest })
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message })
+  }
+})
+`
+
+/** @type {Map<number, HashPool>} */
+const sharedPools = new Map()
+
+/**
+ * @typedef {object} HashJob
+ * @property {number} id - the job id
+ * @property {string} algorithm - the hash algorithm
+ * @property {ArrayBuffer} data - copy of the contents to transfer
+ * @property {(digest: string) => void} resolve - the result callback
+ * @property {(err: Error) => void} reject - the error callback
+ */
+
+/**
+ * Pool of the worker threads, that hash the large buffers
+ * without blocking the event loop.
+ */
+export default class HashPool {
+  /** @returns {boolean} whether the worker threads are supported */
+  static get available() {
+    return Boolean(Worker)
+  }
+
+  /**
+   * @param {number} size count of the worker threads
+   * @returns {HashPool} the pool shared by all the tasks
+   */
+  static shared(size) {
+    if (!sharedPools.has(size)) {
+      sharedPools.set(size, new HashPool(size))
+    }
+    return sharedPools.get(size)
+  }
+
+  /**
+   * @param {number} size count of the worker threads
+   */
+  constructor(size) {
+    this.size = Math.max(1, Math.floor(size))
+    /** @type {Array<{ worker: Worker, job: HashJob|null }>} */
+    this._slots = []
+    /** @type {HashJob[]} */
+    this._queue = []
+    this._nextId = 0
+  }
+
+  /**
+   * @param {Buffer} buffer the contents to hash
+   * @param {string} algorithm the hash algorithm
+   * @returns {Promise<string>} the hex digest
+   */
+  hash(buffer, algorithm = 'md5') {
+    if (!HashPool.available) {
+      return Promise.resolve(hash(buffer, algorithm))
+    }
+
+    return new Promise((resolve, reject) => {
+      // The file keeps its contents, so only the copy is transferred
+      const data = new Uint8Array(buffer).buffer
+      this._queue.push({ id: this._nextId++, algorithm, data, resolve, reject })
+      this._dispatch()
+    })
+  }
+
+  /** @returns {Promise<void>} resolved when all the workers exit */
+  terminate() {
+    const slots = this._slots.splice(0)
+    this._queue
+      .splice(0)
+      .forEach((job) => job.reject(new Error('Hash pool is terminated')))
+    return Promise.all(slots.map((slot) => slot.worker.terminate())).then(
+      () => {}
+    )
+  }
+
+  _dispatch() {
+    while (this._queue.length) {
+      const slot = this._idleSlot()
+      if (!slot) return
+
+      slot.job = this._queue.shift()
+      // Keep the process alive only while there is some work
+      slot.worker.ref()
+      const { id, algorithm, data } = slot.job
+      slot.worker.postMessage({ id, algorithm, data }, [data])
+    }
+  }
+
+  _idleSlot() {
+    const idle = this._slots.find((slot) => !slot.job)
+    if (idle || this._slots.length >= this.size) return idle || null
+
+    const worker = new Worker(WORKER_SOURCE, { eval: true })
+    const slot = { worker, job: null }
+    slot.worker.on('message', ({ digest, error }) => {
+      const { job } = slot
+      slot.job = null
+      slot.worker.unref()
+      if (error) job.reject(new Error(error))
+      else job.resolve(digest)
+      this._dispatch()
+    })
+    slot.worker.on('error', (err) => this._replace(slot, err))
+    slot.worker.unref()
+    this._slots.push(slot)
+    return slot
+  }
+
+  _replace(slot, err) {
+    this._slots = this._slots.filter((el) => el !== slot)
+    if (slot.job) slot.job.reject(err)
+    this._dispatch()
+  }
+}
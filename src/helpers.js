@@ -1,10 +1,66 @@
 import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { PassThrough } from 'stream'
+import PluginError from 'plugin-error'
 
 /** @typedef {import('vinyl')} File */
 /* eslint-disable no-magic-numbers */
 
-function hash(key) {
-  return crypto.createHash('md5').update(key).digest('hex')
+function hash(key, algorithm = 'md5') {
+  return crypto.createHash(algorithm).update(key).digest('hex')
+}
+
+/**
+ * JSON with the object keys sorted, so the equal values
+ * always produce the same string
+ * @param {any} value the value
+ * @returns {string} the JSON string
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (!val || typeof val !== 'object' || Array.isArray(val)) return val
+    return Object.keys(val)
+      .sort()
+      .reduce((acc, k) => ({ ...acc, [k]: val[k] }), {})
+  })
+}
+
+/**
+ * @param {string} name the package name
+ * @param {string} [dir] the directory to start the search from
+ * @returns {string} the version of the installed package
+ */
+function packageVersionOf(name, dir = process.cwd()) {
+  const packagePath = path.join(dir, 'node_modules', name, 'package.json')
+  try {
+    return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version
+  } catch (err) {
+    const parent = path.dirname(dir)
+    if (parent === dir) {
+      throw new PluginError('gulp-memoize', `Package not found: ${name}`)
+    }
+    return packageVersionOf(name, parent)
+  }
+}
+
+/**
+ * @param {string|object} namespace the namespace or its description,
+ * like `{ name, version, options }`. The version of the installed
+ * package is used, if the name is given without the version
+ * @returns {string} the namespace prefix of the memo keys
+ */
+function namespaceOf(namespace) {
+  if (typeof namespace === 'string') return namespace
+  if (namespace.name && !namespace.version) {
+    try {
+      const version = packageVersionOf(namespace.name)
+      return hash(stableStringify({ ...namespace, version }))
+    } catch (err) {
+      // Not an installed package
+    }
+  }
+  return hash(stableStringify(namespace))
 }
 
 /**
@@ -16,6 +72,59 @@ function fileBytes(file) {
   return file.contents.byteLength
 }
 
+/**
+ * @param {any} value the value
+ * @returns {boolean} whether the value is a promise or another thenable
+ */
+function isPromise(value) {
+  return Boolean(value) && typeof value.then === 'function'
+}
+
+/**
+ * @param {any} value the value
+ * @returns {boolean} whether the value can be iterated, like the Map
+ */
+function isIterable(value) {
+  return Boolean(value) && typeof value[Symbol.iterator] === 'function'
+}
+
+/**
+ * Calls back with the value, synchronously unless it is a promise,
+ * so the synchronous memos are used without any delay
+ * @template T, R
+ * @param {T|Promise<T>} value the value or the promise of it
+ * @param {(value: T) => R} callback the callback
+ * @returns {R|Promise<R>} the callback result
+ */
+function chain(value, callback) {
+  return isPromise(value) ? value.then(callback) : callback(value)
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream the stream
+ * @returns {Promise<Buffer>} the stream contents
+ */
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk))
+    })
+    stream.once('error', reject)
+    stream.once('end', () => resolve(Buffer.concat(chunks)))
+  })
+}
+
+/**
+ * @param {Buffer} buffer the contents
+ * @returns {NodeJS.ReadableStream} a fresh stream of the contents
+ */
+function bufferToStream(buffer) {
+  const stream = new PassThrough()
+  stream.end(buffer)
+  return stream
+}
+
 function humanizeBytes(bytes = 0) {
   if (typeof bytes !== 'number') return 'n/a'
   if (bytes === 0) return '0 Bytes'
@@ -27,4 +136,16 @@ function humanizeBytes(bytes = 0) {
   return `${(bytes / Math.pow(1024, exp)).toFixed(1)} ${sizes[exp]}`
 }
 
-export { hash, fileBytes, humanizeBytes }
+export {
+  hash,
+  stableStringify,
+  packageVersionOf,
+  namespaceOf,
+  fileBytes,
+  isPromise,
+  isIterable,
+  chain,
+  streamToBuffer,
+  bufferToStream,
+  humanizeBytes,
+}
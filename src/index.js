@@ -1,16 +1,49 @@
 import PluginError from 'plugin-error'
 import through from 'through2'
 import TaskProxy from './task-proxy'
+import FsMemo from './fs-memo'
+import AsyncMemo from './async-memo'
+import BlobStore from './blob-store'
+import { codecOf } from './compression'
+import pipeline from './pipeline'
+import reporters from './reporters'
+import OrderedOutput from './ordered-output'
+import { exportMemo, importMemo } from './memo-archive'
+import strategies from './strategies'
+import keys from './keys'
+import { streamToBuffer, bufferToStream, namespaceOf } from './helpers'
 
-function defaultKey(file) {
-  return file.contents.toString('base64')
-}
+// Refreshes all the memoized tasks without changing the gulpfile
+const REFRESH_ENV = 'GULP_MEMOIZE_REFRESH'
+const STATS_EVENTS = ['hit', 'miss', 'remember', 'mismatch', 'summary']
 
 plugin.defaultOptions = {
-  key: defaultKey,
+  key: strategies.contents,
+  algorithm: 'md5',
   verbose: false,
+  reporter: null,
+  logLevel: null,
   memo: new Map(),
   clearMemoOnFlush: true,
+  maxBytes: Infinity,
+  maxEntries: Infinity,
+  bufferStreams: false,
+  aggregate: false,
+  dependencies: null,
+  preserveOrder: false,
+  namespace: null,
+  restoreProps: null,
+  carryOverProps: ['stat'],
+  memoizeErrors: false,
+  ttl: Infinity,
+  shouldMemoize: null,
+  refresh: false,
+  compress: false,
+  compressThreshold: 1024,
+  verify: false,
+  verifyMode: 'report',
+  workers: 0,
+  workerThreshold: 65536,
 }
 
 function plugin(task, inputOptions = {}) {
@@ -24,7 +57,26 @@ function plugin(task, inputOptions = {}) {
     ...(task.cacheable || {}),
     ...inputOptions,
   }
+  if (typeof options.key === 'string') {
+    if (!strategies[options.key]) {
+      throw new PluginError('gulp-memoize', `Unknown key: ${options.key}`)
+    }
+    options.key = strategies[options.key]
+  }
+  if (options.compress && !codecOf(options.compress)) {
+    throw new PluginError('gulp-memoize', `Unknown codec: ${options.compress}`)
+  }
+  if (!('refresh' in inputOptions) && isEnabled(process.env[REFRESH_ENV])) {
+    options.refresh = true
+  }
+  if (options.memoDir && !inputOptions.memo) {
+    options.memo = FsMemo.open(options.memoDir)
+    // The persistent memo is useless if cleared after every run
+    if (!('clearMemoOnFlush' in inputOptions)) options.clearMemoOnFlush = false
+  }
   const taskProxy = new TaskProxy(task, options)
+  /** @type {Array<import('vinyl')>} */
+  const aggregated = []
 
   function each(file, enc, next) {
     if (file.isNull()) {
@@ -32,12 +84,72 @@ function plugin(task, inputOptions = {}) {
       return
     }
 
-    if (file.isStream()) {
+    if (!file.isStream()) {
+      memoizeFile(this, file, next)
+      return
+    }
+
+    if (!options.bufferStreams) {
       next(new PluginError('gulp-memoize', 'Cannot operate on stream sources'))
       return
     }
 
+    streamToBuffer(file.contents).then(
+      (contents) => {
+        file.contents = contents
+        memoizeFile(this, file, next, true)
+      },
+      (err) => next(new PluginError('gulp-memoize', err))
+    )
+  }
+
+  function memoizeFile(stream, file, next, isStreamed = false) {
+    if (options.aggregate) {
+      aggregated.push(file)
+      next(null)
+      return
+    }
+
+    // The next input is accepted, while there is room for its outputs
+    const slot = options.preserveOrder ? ordered.reserve() : null
     const signals = taskProxy.processFile(file)
+    // The task may signal both the error and the completion
+    let settled = false
+
+    signals.on('error', (err) => {
+      const error = new PluginError('gulp-memoize', err)
+      if (slot) ordered.complete(slot)
+      if (slot || settled) stream.emit('error', error)
+      else next(error)
+      settled = true
+    })
+
+    signals.on('file', (file) => {
+      // Match the input mode
+      if (isStreamed && file.isBuffer()) {
+        file.contents = bufferToStream(file.contents)
+      }
+      if (slot) ordered.add(slot, file)
+      else stream.push(file)
+    })
+
+    signals.on('done', () => {
+      if (settled) return
+      settled = true
+      if (slot) ordered.complete(slot)
+      else next(null)
+    })
+
+    if (slot) ordered.whenFree(() => next(null))
+  }
+
+  function flush(next) {
+    if (!options.aggregate) {
+      ordered.drain(() => taskProxy.flush(next))
+      return
+    }
+
+    const signals = taskProxy.processAll(aggregated)
 
     signals.on('error', (err) => {
       next(new PluginError('gulp-memoize', err))
@@ -52,15 +164,97 @@ function plugin(task, inputOptions = {}) {
     })
   }
 
-  function flush(next) {
-    taskProxy.flush(next)
+  const stream = through.obj(each, flush)
+  // As many inputs are processed concurrently, as the stream buffers
+  const ordered = new OrderedOutput(
+    (file) => stream.push(file),
+    stream.writableHighWaterMark
+  )
+
+  STATS_EVENTS.forEach((event) => {
+    taskProxy.on(event, (...args) => stream.emit(event, ...args))
+  })
+  // The task errors, that don't belong to any input file
+  taskProxy.on('error', (err) => {
+    stream.emit('error', new PluginError('gulp-memoize', err))
+  })
+  stream.stats = () => taskProxy.stats()
+  stream.forget = (pathOrGlob) => taskProxy.forget(pathOrGlob)
+  stream.invalidate = (memoKey) => taskProxy.invalidate(memoKey)
+
+  return stream
+}
+
+function isEnabled(flag) {
+  return Boolean(flag) && !['0', 'false', 'no'].includes(flag.toLowerCase())
+}
+
+plugin.clearDefaultMemo = (namespace) => {
+  const { memo } = plugin.defaultOptions
+  if (!namespace) {
+    memo.clear()
+    BlobStore.of(memo).clear()
+    return
   }
 
-  return through.obj(each, flush)
+  const prefix = `${namespaceOf(namespace)}:`
+  const proxy = memoProxy(memo)
+  Array.from(memo.keys())
+    .filter((key) => key.startsWith(prefix))
+    .forEach((key) => proxy.invalidate(key))
+}
+
+/**
+ * Memoizes the chain of plugins as a single one, so a hit skips all of them
+ * @param {Array<import('stream').Transform>|Function} stages the plugins
+ * or a function, that creates them
+ * @param {object} [inputOptions] the options
+ * @returns {import('stream').Transform} the memoized stream
+ */
+plugin.pipeline = (stages, inputOptions = {}) => {
+  const { aggregate } = { ...plugin.defaultOptions, ...inputOptions }
+  return plugin(pipeline(stages, { aggregate }), inputOptions)
+}
+
+function memoProxy(memo) {
+  return new TaskProxy(null, { ...plugin.defaultOptions, memo })
 }
 
-plugin.clearDefaultMemo = () => {
-  plugin.defaultOptions.memo.clear()
+/**
+ * @param {string} pathOrGlob the path or glob of the input files
+ * @param {Map<string, Array<import('vinyl')>>} [memo] the memo
+ * @returns {number} count of the removed cells
+ */
+plugin.forget = (pathOrGlob, memo = plugin.defaultOptions.memo) => {
+  return memoProxy(memo).forget(pathOrGlob)
 }
 
+/**
+ * @param {string} memoKey the memo key
+ * @param {Map<string, Array<import('vinyl')>>} [memo] the memo
+ * @returns {boolean} whether the cell existed
+ */
+plugin.invalidate = (memoKey, memo = plugin.defaultOptions.memo) => {
+  return memoProxy(memo).invalidate(memoKey)
+}
+
+/**
+ * Forgets the cells of the changed and removed files
+ * @param {import('events').EventEmitter} watcher the `gulp.watch` watcher
+ * @param {Map<string, Array<import('vinyl')>>} [memo] the memo
+ * @returns {import('events').EventEmitter} the watcher
+ */
+plugin.bindWatcher = (watcher, memo = plugin.defaultOptions.memo) => {
+  const forget = (filePath) => plugin.forget(filePath, memo)
+  return watcher.on('change', forget).on('unlink', forget)
+}
+
+plugin.exportMemo = exportMemo
+plugin.importMemo = importMemo
+plugin.FsMemo = FsMemo
+plugin.AsyncMemo = AsyncMemo
+plugin.strategies = strategies
+plugin.keys = keys
+plugin.reporters = reporters
+
 module.exports = plugin
@@ -0,0 +1,125 @@
+import path from 'path'
+import PluginError from 'plugin-error'
+import { hash, stableStringify, isPromise, packageVersionOf } from './helpers'
+import strategies from './strategies'
+
+/** @typedef {import('vinyl')} File */
+/**
+ * @typedef {(file: File) => string|Buffer|Promise<string|Buffer>} KeyBuilder
+ */
+
+// The property of the builder, that names its part of the combined key
+const LABEL_PROP = 'keyLabel'
+
+/**
+ * @param {string} label the name of the key part
+ * @param {KeyBuilder} builder the builder
+ * @returns {KeyBuilder} the labeled builder
+ */
+function labeled(label, builder) {
+  builder[LABEL_PROP] = label
+  return builder
+}
+
+/**
+ * @returns {KeyBuilder} the builder of the raw file contents
+ */
+function contents() {
+  return labeled('contents', (file) => strategies.contents(file))
+}
+
+/**
+ * @returns {KeyBuilder} the builder of the file path relative to the cwd,
+ * so the keys are the same in the different checkouts
+ */
+function filePath() {
+  return labeled('path', (file) =>
+    path.relative(file.cwd, file.path).split(path.sep).join('/')
+  )
+}
+
+/**
+ * @returns {KeyBuilder} the builder of the path, size and modification time
+ */
+function stat() {
+  return labeled('stat', (file) => strategies.stat(file))
+}
+
+/**
+ * @param {any} value the task options or any other JSON value
+ * @returns {KeyBuilder} the builder of the value,
+ * which doesn't depend on the order of the object keys
+ */
+function options(value) {
+  const key = stableStringify(value)
+  return labeled('options', () => key)
+}
+
+/**
+ * @param {string} name the package name, like the name of the wrapped plugin
+ * @returns {KeyBuilder} the builder of the installed package version,
+ * which is read once
+ */
+function packageVersion(name) {
+  let version = null
+  return labeled(`package:${name}`, () => {
+    if (!version) version = packageVersionOf(name)
+    return version
+  })
+}
+
+/**
+ * @param {string|string[]} names the environment variable names
+ * @returns {KeyBuilder} the builder of the variable values
+ */
+function env(names) {
+  const sorted = [].concat(names).sort()
+  return labeled(`env:${sorted.join(',')}`, () =>
+    stableStringify(sorted.map((name) => process.env[name] || null))
+  )
+}
+
+/**
+ * @param {KeyBuilder} builder the builder
+ * @returns {string} the name of the key part
+ */
+function labelOf(builder) {
+  return builder[LABEL_PROP] || String(builder)
+}
+
+/**
+ * Combines the key parts, so the key doesn't depend on the builders order.
+ * The file is not memoized, if any part is empty
+ * @param {...KeyBuilder} builders the builders, sync or async
+ * @returns {KeyBuilder} the combined builder
+ */
+function combine(...builders) {
+  if (!builders.length) {
+    throw new PluginError('gulp-memoize', 'Must pass a key to combine()')
+  }
+
+  const join = (parts) => {
+    if (parts.some((part) => !part)) return null
+    return builders
+      .map((builder, i) => `${hash(labelOf(builder))}:${hash(parts[i])}`)
+      .sort()
+      .join('\n')
+  }
+  return labeled(
+    `combine:${builders.map(labelOf).sort().join(',')}`,
+    (file) => {
+      const parts = builders.map((builder) => builder(file))
+      return parts.some(isPromise) ? Promise.all(parts).then(join) : join(parts)
+    }
+  )
+}
+
+export default {
+  contents,
+  path: filePath,
+  stat,
+  options,
+  packageVersion,
+  env,
+  combine,
+}
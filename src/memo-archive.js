@@ -0,0 +1,197 @@
+import fs from 'fs'
+import path from 'path'
+import { StringDecoder } from 'string_decoder'
+import PluginError from 'plugin-error'
+import { hash, isIterable } from './helpers'
+import { serializeFile, deserializeFile, mkdirp } from './fs-memo'
+
+const ARCHIVE_FORMAT = 'gulp-memoize-archive'
+const ARCHIVE_VERSION = 2
+const CHUNK_SIZE = 65536
+
+/**
+ * Saves the memo cells to a single file, e.g. to cache it between CI jobs.
+ * The archive is written as JSON lines: the header, a line per cell
+ * and the end line with the count of the cells
+ * @param {Map<string, import('vinyl')[]>} memo the memo
+ * @param {string} filePath path of the archive
+ * @returns {number} count of the exported cells
+ */
+function exportMemo(memo, filePath) {
+  if (!isIterable(memo)) {
+    throw new PluginError(
+      'gulp-memoize',
+      'Cannot export the memo, that is not iterable, like the async memos'
+    )
+  }
+
+  mkdirp(path.dirname(path.resolve(filePath)))
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  const fd = fs.openSync(tmpPath, 'w')
+  let count = 0
+  try {
+    writeLine(fd, { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION })
+    for (const [key, cell] of memo) {
+      writeLine(fd, [key, cell.map(serializeCellFile)])
+      count++
+    }
+    writeLine(fd, { end: true, cells: count })
+  } catch (err) {
+    fs.closeSync(fd)
+    fs.unlinkSync(tmpPath)
+    throw err
+  }
+  fs.closeSync(fd)
+  fs.renameSync(tmpPath, filePath)
+  return count
+}
+
+/**
+ * @param {string} filePath path of the archive
+ * @returns {Map<string, import('vinyl')[]>} the memo restored from the archive
+ */
+function importMemo(filePath) {
+  const memo = new Map()
+  let header = null
+  let end = null
+  readLines(filePath, (line) => {
+    const item = parseLine(line, filePath)
+    if (!header) {
+      header = checkHeader(item, filePath)
+      return
+    }
+    if (end) {
+      throw invalidArchive(filePath, 'cells after the end')
+    }
+    if (item && item.end === true) {
+      end = item
+      return
+    }
+
+    const [key, entries] = Array.isArray(item) ? item : []
+    if (typeof key !== 'string' || !Array.isArray(entries)) {
+      throw invalidArchive(filePath, 'malformed cell')
+    }
+    memo.set(
+      key,
+      entries.map((entry) => deserializeCellFile(entry, filePath))
+    )
+  })
+
+  if (!header) {
+    throw invalidArchive(filePath, 'unknown format')
+  }
+  if (!end || end.cells !== memo.size) {
+    throw invalidArchive(filePath, 'truncated')
+  }
+  return memo
+}
+
+/**
+ * @param {number} fd descriptor of the archive
+ * @param {any} value the JSON value
+ * @returns {void}
+ */
+function writeLine(fd, value) {
+  fs.writeSync(fd, `${JSON.stringify(value)}\n`)
+}
+
+/**
+ * Reads the file line by line, so the whole archive is never decoded
+ * to a single string
+ * @param {string} filePath path of the archive
+ * @param {(line: string) => void} onLine called with every line
+ * @returns {void}
+ */
+function readLines(filePath, onLine) {
+  let fd = null
+  try {
+    fd = fs.openSync(filePath, 'r')
+  } catch (err) {
+    throw invalidArchive(filePath, err.message)
+  }
+
+  const decoder = new StringDecoder('utf8')
+  const buffer = Buffer.alloc(CHUNK_SIZE)
+  // The parts of the unfinished line
+  let pieces = []
+  try {
+    let bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)
+    while (bytesRead > 0) {
+      const lines = decoder.write(buffer.slice(0, bytesRead)).split('\n')
+      const last = lines.pop()
+      if (lines.length) {
+        lines[0] = pieces.join('') + lines[0]
+        pieces = []
+        lines.forEach(onLine)
+      }
+      pieces.push(last)
+      bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)
+    }
+    pieces.push(decoder.end())
+    const rest = pieces.join('')
+    if (rest) onLine(rest)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function parseLine(line, filePath) {
+  try {
+    return JSON.parse(line)
+  } catch (err) {
+    throw invalidArchive(filePath, err.message)
+  }
+}
+
+function checkHeader(header, filePath) {
+  if (!header || header.format !== ARCHIVE_FORMAT) {
+    throw invalidArchive(filePath, 'unknown format')
+  }
+  if (header.version !== ARCHIVE_VERSION) {
+    throw invalidArchive(filePath, `unsupported version ${header.version}`)
+  }
+  return header
+}
+
+/**
+ * @param {import('vinyl')} file the memo file
+ * @returns {object} JSON-safe description of the file with its contents
+ */
+function serializeCellFile(file) {
+  const entry = { ...serializeFile(file), contents: null, checksum: null }
+  if (file.isBuffer()) {
+    entry.contents = file.contents.toString('base64')
+    entry.checksum = hash(file.contents)
+  }
+  return entry
+}
+
+/**
+ * @param {object} entry the archived file
+ * @param {string} filePath path of the archive
+ * @returns {import('vinyl')} the memo file
+ */
+function deserializeCellFile(entry, filePath) {
+  if (!entry || typeof entry.path !== 'string') {
+    throw invalidArchive(filePath, 'malformed file')
+  }
+
+  let contents = null
+  if (entry.contents !== null) {
+    contents = Buffer.from(String(entry.contents), 'base64')
+    if (hash(contents) !== entry.checksum) {
+      throw invalidArchive(filePath, `corrupted file ${entry.path}`)
+    }
+  }
+  return deserializeFile(entry, contents)
+}
+
+function invalidArchive(filePath, reason) {
+  return new PluginError(
+    'gulp-memoize',
+    `Invalid memo archive ${filePath}: ${reason}`
+  )
+}
+
+export { exportMemo, importMemo }
@@ -0,0 +1,105 @@
+/** @typedef {import('vinyl')} File */
+/**
+ * @typedef {object} OutputSlot
+ * @property {File[]} files - the outputs waiting for the release
+ * @property {boolean} done - whether the input is completely processed
+ * @property {boolean} released - whether the slot has left the queue
+ */
+
+/**
+ * Releases the outputs in the order of the inputs,
+ * while the inputs themselves may be processed concurrently.
+ * The count of the unreleased slots is limited, so a slow input
+ * doesn't make the rest of them pile up in memory.
+ */
+export default class OrderedOutput {
+  /**
+   * @param {(file: File) => void} push the output callback
+   * @param {number} [limit] max count of the unreleased slots
+   */
+  constructor(push, limit = Infinity) {
+    this._push = push
+    this._limit = limit
+    /** @type {OutputSlot[]} */
+    this._slots = []
+    /** @type {Function[]} the callbacks waiting for a free slot */
+    this._waiting = []
+    /** @type {Function|null} */
+    this._onDrained = null
+  }
+
+  /** @returns {OutputSlot} the slot for the next input */
+  reserve() {
+    const slot = { files: [], done: false, released: false }
+    this._slots.push(slot)
+    return slot
+  }
+
+  /**
+   * @param {OutputSlot} slot the input slot
+   * @param {File} file the output file
+   * @returns {void}
+   */
+  add(slot, file) {
+    if (slot.released) {
+      this._push(file)
+      return
+    }
+    slot.files.push(file)
+    this._release()
+  }
+
+  /**
+   * @param {OutputSlot} slot the input slot
+   * @returns {void}
+   */
+  complete(slot) {
+    slot.done = true
+    this._release()
+  }
+
+  /**
+   * @param {Function} callback called when there is room for the next slot
+   * @returns {void}
+   */
+  whenFree(callback) {
+    if (this._slots.length < this._limit) {
+      callback()
+    } else {
+      this._waiting.push(callback)
+    }
+  }
+
+  /**
+   * @param {Function} callback called when all the slots are released
+   * @returns {void}
+   */
+  drain(callback) {
+    if (this._slots.length) {
+      this._onDrained = callback
+    } else {
+      callback()
+    }
+  }
+
+  _release() {
+    while (this._slots.length) {
+      const slot = this._slots[0]
+      slot.files.splice(0).forEach((file) => this._push(file))
+      if (!slot.done) return
+
+      slot.released = true
+      this._slots.shift()
+    }
+
+    while (this._waiting.length && this._slots.length < this._limit) {
+      this._waiting.shift()()
+    }
+
+    if (this._onDrained && !this._slots.length) {
+      const onDrained = this._onDrained
+      this._onDrained = null
+      onDrained()
+    }
+  }
+}
@@ -0,0 +1,75 @@
+import path from 'path'
+import picomatch from 'picomatch'
+
+/** @type {WeakMap<object, PathIndex>} */
+const indexes = new WeakMap()
+
+function toPosix(filePath) {
+  return path.resolve(filePath).replace(/\\/g, '/')
+}
+
+/**
+ * Index of the input file paths to the memo keys of their cells.
+ */
+export default class PathIndex {
+  /**
+   * @param {Map<string, any>} memo the memo
+   * @returns {PathIndex} the index shared by all the memo users
+   */
+  static of(memo) {
+    if (!indexes.has(memo)) {
+      indexes.set(memo, new PathIndex())
+    }
+    return indexes.get(memo)
+  }
+
+  constructor() {
+    /** @type {Map<string, Set<string>>} */
+    this._keys = new Map()
+  }
+
+  /**
+   * @param {string} filePath the input file path
+   * @param {string} memoKey the memo key
+   * @returns {void}
+   */
+  add(filePath, memoKey) {
+    const key = toPosix(filePath)
+    if (!this._keys.has(key)) {
+      this._keys.set(key, new Set())
+    }
+    this._keys.get(key).add(memoKey)
+  }
+
+  /**
+   * @param {string} pathOrGlob the path or glob, relative to the cwd
+   * @returns {string[]} the memo keys of the matching paths
+   */
+  match(pathOrGlob) {
+    const pattern = toPosix(pathOrGlob)
+    const isMatch = picomatch.scan(pathOrGlob).isGlob
+      ? picomatch(pattern, { dot: true })
+      : (filePath) => filePath === pattern
+
+    const memoKeys = new Set()
+    for (const [filePath, keys] of this._keys) {
+      if (isMatch(filePath)) keys.forEach((memoKey) => memoKeys.add(memoKey))
+    }
+    return Array.from(memoKeys)
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @returns {void}
+   */
+  remove(memoKey) {
+    for (const [filePath, keys] of this._keys) {
+      keys.delete(memoKey)
+      if (!keys.size) this._keys.delete(filePath)
+    }
+  }
+
+  clear() {
+    this._keys.clear()
+  }
+}
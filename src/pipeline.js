@@ -0,0 +1,298 @@
+import through from 'through2'
+import PluginError from 'plugin-error'
+import { findAdapter } from './stream-adapters'
+
+const noop = () => undefined
+
+/** @typedef {import('vinyl')} File */
+/** @typedef {import('stream').Transform} Transform */
+/**
+ * @callback StagesFactory
+ * @returns {Transform[]|Transform}
+ */
+
+/**
+ * Runs one call of the stage transform or flush,
+ * collecting what it pushes instead of passing it downstream.
+ * The stage keeps the replaced push, so what it pushes after the callback
+ * goes to `onLate`
+ * @param {Transform} stage the stage
+ * @param {(done: Function) => void} call the call of the stage method
+ * @param {(datum: File) => void} onLate called with the late outputs
+ * @returns {Promise<File[]>} the stage outputs
+ */
+function runStage(stage, call, onLate) {
+  return new Promise((resolve, reject) => {
+    const outputs = []
+    let settled = false
+    const done = (err, datum) => {
+      if (settled) return
+      settled = true
+      stage.push = (late) => {
+        if (late !== null) onLate(late)
+        return true
+      }
+      stage.removeListener('error', done)
+      if (err) {
+        reject(err)
+        return
+      }
+      if (datum !== undefined && datum !== null) outputs.push(datum)
+      resolve(outputs)
+    }
+
+    stage.push = (datum) => {
+      if (datum !== null) outputs.push(datum)
+      return true
+    }
+    stage.once('error', done)
+    try {
+      call(done)
+    } catch (err) {
+      done(err)
+    }
+  })
+}
+
+/**
+ * Keeps the outputs matched to the input, even if the stage replaces it
+ * @param {File[]} outputs the outputs
+ * @param {File} file the input file
+ * @returns {File[]} the outputs
+ */
+function tagOutputs(outputs, file) {
+  outputs
+    .filter((output) => file._memoKey && !output._memoKey)
+    .forEach((output) => {
+      output._memoKey = file._memoKey
+    })
+  return outputs
+}
+
+/**
+ * @callback LateHandler
+ * @param {number} index index of the stage
+ * @param {File|null} input the last input of the stage, null for the flush
+ * @param {File} datum the output pushed after the callback
+ * @returns {void}
+ */
+
+/**
+ * @param {Transform[]} stages the stages
+ * @param {File[]} files the input files of the first stage
+ * @param {string} enc the encoding
+ * @param {number} from index of the first stage
+ * @param {LateHandler} onLate called with the late outputs
+ * @returns {Promise<File[]>} the outputs of the last stage
+ */
+async function transformChain(stages, files, enc, from, onLate) {
+  let current = files
+  for (let i = from; i < stages.length; i++) {
+    const stage = stages[i]
+    const outputs = []
+    for (const file of current) {
+      const stageOutputs = await runStage(
+        stage,
+        (done) => findAdapter(stage).write(stage, file, enc, done),
+        (datum) => onLate(i, file, datum)
+      )
+      outputs.push(...tagOutputs(stageOutputs, file))
+    }
+    current = outputs
+  }
+  return current
+}
+
+/**
+ * Flushes the stages in order, passing the outputs of each flush
+ * through the rest of the chain
+ * @param {Transform[]} stages the stages
+ * @param {LateHandler} onLate called with the late outputs
+ * @returns {Promise<File[]>} the outputs of the last stage
+ */
+async function flushChain(stages, onLate) {
+  const outputs = []
+  for (let i = 0; i < stages.length; i++) {
+    const stage = stages[i]
+    const adapter = findAdapter(stage)
+    if (!adapter.canFlush(stage)) continue
+
+    const flushed = await runStage(
+      stage,
+      (done) => adapter.flush(stage, done),
+      (datum) => onLate(i, null, datum)
+    )
+    outputs.push(
+      ...(await transformChain(stages, flushed, 'utf8', i + 1, onLate))
+    )
+  }
+  return outputs
+}
+
+/**
+ * Calls the transform and flush methods of the stages directly,
+ * so every input passes through all of them before the next input.
+ * What a stage pushes after the callback passes through the rest
+ * of the chain later, matched to the last input of the stage
+ * @param {Transform[]} stages the stages
+ * @returns {Transform} the combined stream
+ */
+function callStages(stages) {
+  // The combined streams may output only while they are read
+  stages.forEach((stage) => stage.resume())
+  let queue = Promise.resolve()
+  let ended = false
+  // The stages are called one at a time, the late outputs included
+  const enqueue = (work) => {
+    const result = queue.then(work)
+    queue = result.then(noop, noop)
+    return result
+  }
+  const lateHandler = (stream) => {
+    const onLate = (index, input, datum) => {
+      if (ended) {
+        stream.emit(
+          'error',
+          new PluginError(
+            'gulp-memoize',
+            'Pipeline stage has pushed an output after the end'
+          )
+        )
+        return
+      }
+      if (input) tagOutputs([datum], input)
+      enqueue(() =>
+        transformChain(stages, [datum], 'utf8', index + 1, onLate)
+      ).then(
+        (outputs) => outputs.forEach((output) => stream.push(output)),
+        (err) => stream.emit('error', err)
+      )
+    }
+    return onLate
+  }
+
+  return through.obj(
+    function (file, enc, next) {
+      const onLate = lateHandler(this)
+      enqueue(() => transformChain(stages, [file], enc, 0, onLate)).then(
+        (outputs) => {
+          outputs.forEach((output) => this.push(output))
+          next()
+        },
+        next
+      )
+    },
+    function (next) {
+      const onLate = lateHandler(this)
+      // The stages may push right after the last callback
+      enqueue(() => new Promise((resolve) => setImmediate(resolve)))
+        .then(() => enqueue(() => flushChain(stages, onLate)))
+        .then((outputs) => {
+          outputs.forEach((output) => this.push(output))
+          ended = true
+          next()
+        }, next)
+    }
+  )
+}
+
+/**
+ * Pipes the stages into each other
+ * @param {Transform[]} stages the stages
+ * @param {(datum: File) => void} onData called with the outputs
+ * of the last stage
+ * @returns {Promise<void>} resolves when the last stage ends
+ */
+function pipeStages(stages, onData) {
+  const last = stages[stages.length - 1]
+  return new Promise((resolve, reject) => {
+    stages.reduce((source, target) => source.pipe(target))
+    stages.forEach((stage) => stage.on('error', reject))
+    last.on('data', onData).on('end', resolve)
+  })
+}
+
+/**
+ * Pipes a new chain of the stages for every input,
+ * so the chain ends with the input and nothing it outputs is lost
+ * @param {StagesFactory} createStages the function, that creates the stages
+ * @param {Transform[]} created the stages to use for the first input
+ * @returns {Transform} the combined stream
+ */
+function pipeEachInput(createStages, created) {
+  let spare = created
+  return through.obj(function (file, enc, next) {
+    const stages = spare || [].concat(createStages())
+    spare = null
+    const outputs = []
+    const piped = pipeStages(stages, (datum) => outputs.push(datum))
+    stages[0].end(file)
+    piped.then(() => {
+      tagOutputs(outputs, file).forEach((output) => this.push(output))
+      next()
+    }, next)
+  })
+}
+
+/**
+ * Pipes all the inputs through the single chain of the stages,
+ * ending it on the flush
+ * @param {Transform[]} stages the stages
+ * @returns {Transform} the combined stream
+ */
+function pipeAllInputs(stages) {
+  const [first] = stages
+  let piped = null
+  let error = null
+  return through.obj(
+    function (file, enc, next) {
+      if (!piped) {
+        piped = pipeStages(stages, (datum) => this.push(datum))
+        piped.catch((err) => {
+          error = err
+        })
+      }
+      if (error) next(error)
+      else if (first.write(file)) next()
+      else first.once('drain', () => next(error))
+    },
+    function (next) {
+      if (!piped) {
+        next()
+        return
+      }
+      first.end()
+      piped.then(() => next(), next)
+    }
+  )
+}
+
+/**
+ * Combines the transform streams into a single one.
+ * In the aggregate mode, the stages are piped into each other.
+ * Otherwise a new piped chain is created for every input, if the stages
+ * are created by the function, or the stages are called directly
+ * @param {Transform[]|Transform|StagesFactory} stagesOrFactory the stages
+ * or a function, that creates them
+ * @param {object} [options] the options
+ * @param {boolean} [options.aggregate] whether the stages get all the inputs
+ * @returns {Transform} the combined stream
+ */
+export default function pipeline(stagesOrFactory, { aggregate } = {}) {
+  const isFactory = typeof stagesOrFactory === 'function'
+  const created = isFactory ? stagesOrFactory() : stagesOrFactory
+  const stages = [].concat(created || [])
+  if (!stages.length) {
+    throw new PluginError('gulp-memoize', 'Must pass the pipeline stages')
+  }
+  if (stages.some((stage) => !findAdapter(stage))) {
+    throw new PluginError(
+      'gulp-memoize',
+      'Pipeline stages must be transform streams'
+    )
+  }
+
+  if (aggregate) return pipeAllInputs(stages)
+  if (isFactory) return pipeEachInput(stagesOrFactory, stages)
+  return callStages(stages)
+}
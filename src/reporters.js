@@ -0,0 +1,143 @@
+import fs from 'fs'
+import path from 'path'
+import log from 'fancy-log'
+import clr from 'ansi-colors'
+import PluginError from 'plugin-error'
+import { humanizeBytes } from './helpers'
+import { mkdirp } from './fs-memo'
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+
+/**
+ * @typedef {object} ReportEvent
+ * @property {string} type - `remember`, `restore`, `evict`, `mismatch`,
+ * `late`, `memoError` or `total`
+ * @property {string} level - `debug`, `info`, `warn` or `error`
+ * @property {string} namespace - scope of the memo keys of the task
+ */
+/**
+ * @typedef {object} Reporter
+ * @property {string} [level] - minimal level of the reported events
+ * @property {(event: ReportEvent) => void} [report] - called for the events
+ * without the method named after their type
+ */
+
+function describeMemoSize(event) {
+  const size = humanizeBytes(event.memoBytes)
+  if (event.memoRawBytes === event.memoBytes) return size
+  return `${size} (${humanizeBytes(event.memoRawBytes)} raw)`
+}
+
+const formatters = {
+  remember: (event) =>
+    `${clr.green('✔')} ${event.file} ${clr.gray(
+      `(Memo is ${describeMemoSize(event)})`
+    )}`,
+  restore: (event) =>
+    `${clr.gray('✔')} ${event.file} ${clr.gray(
+      `(${event.source || 'no output'})`
+    )}`,
+  evict: (event) =>
+    `${clr.yellow('✖')} ${event.file} ${clr.gray(
+      `(${humanizeBytes(event.freed)} freed)`
+    )}`,
+  mismatch: (event) => [
+    `${clr.red('≠')} ${event.file}`,
+    ...event.diff.map((line) => `  ${clr.gray(line)}`),
+  ],
+  late: (event) =>
+    `${clr.yellow('!')} ${event.file} ${clr.gray(
+      '(output after the callback, not memoized)'
+    )}`,
+  memoError: (event) => `${clr.red('✖')} Memo failed: ${event.message}`,
+  total: (event) => {
+    const evicted = event.evicted ? `, evicted ${event.evicted} items` : ''
+    const size = describeMemoSize(event)
+    return `Restored ${event.restored} items${evicted}, memo is ${size}`
+  },
+}
+
+/**
+ * @param {string} level minimal level of the reported events
+ * @returns {Reporter} the reporter, that writes the colored text
+ * through fancy-log
+ */
+function text(level) {
+  return {
+    level,
+    report(event) {
+      const lines = [].concat(formatters[event.type](event))
+      lines.forEach((line) => log(`gulp-memoize: ${line}`))
+    },
+  }
+}
+
+/**
+ * @param {string} filePath path of the log file
+ * @returns {Reporter} the reporter, that appends the events
+ * to the file as JSON lines
+ */
+function jsonLines(filePath) {
+  const resolved = path.resolve(filePath)
+  mkdirp(path.dirname(resolved))
+  return {
+    level: 'debug',
+    report(event) {
+      const line = JSON.stringify({ time: new Date().toISOString(), ...event })
+      fs.appendFileSync(resolved, `${line}\n`)
+    },
+  }
+}
+
+const reporters = {
+  silent: () => ({ level: 'silent' }),
+  summary: () => text('info'),
+  verbose: () => text('debug'),
+  jsonLines,
+}
+
+function levelIndex(level) {
+  const index = LEVELS.indexOf(level)
+  if (index === -1) {
+    throw new PluginError('gulp-memoize', `Unknown log level: ${level}`)
+  }
+  return index
+}
+
+/**
+ * @typedef {object} ReporterProxy
+ * @property {(level: string) => boolean} enabled - whether the events
+ * of the level are reported
+ * @property {(event: ReportEvent) => void} report - reports the event
+ */
+
+/**
+ * @param {object} options the plugin options
+ * @returns {ReporterProxy} the reporter of the options
+ */
+function createReporter({ reporter, verbose, logLevel }) {
+  let resolved = reporter || (verbose ? 'verbose' : 'summary')
+  if (typeof resolved === 'string') {
+    // The file reporter needs its path
+    if (!reporters[resolved] || resolved === 'jsonLines') {
+      throw new PluginError('gulp-memoize', `Unknown reporter: ${resolved}`)
+    }
+    resolved = reporters[resolved]()
+  }
+  if (typeof resolved === 'function') {
+    resolved = { report: resolved }
+  }
+
+  const minLevel = levelIndex(logLevel || resolved.level || 'debug')
+  return {
+    enabled: (level) => levelIndex(level) >= minLevel,
+    report(event) {
+      const method =
+        typeof resolved[event.type] === 'function' ? event.type : 'report'
+      if (typeof resolved[method] === 'function') resolved[method](event)
+    },
+  }
+}
+
+export { createReporter }
+export default reporters
@@ -0,0 +1,24 @@
+/** @typedef {import('vinyl')} File */
+
+/**
+ * Keys off the raw file contents, without converting them to a string
+ * @param {File} file the file
+ * @returns {Buffer} the key
+ */
+function contents(file) {
+  return file.contents
+}
+
+/**
+ * Keys off the path, size and modification time of the file,
+ * which is much cheaper than hashing the large files.
+ * Falls back to the contents, if the file has no stat.
+ * @param {File} file the file
+ * @returns {string|Buffer} the key
+ */
+function stat(file) {
+  if (!file.stat || !file.stat.mtime) return contents(file)
+  return `${file.path}\n${file.stat.size}\n${file.stat.mtime.getTime()}`
+}
+
+export default { contents, stat }
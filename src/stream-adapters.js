@@ -0,0 +1,169 @@
+import PluginError from 'plugin-error'
+
+/**
+ * @typedef {object} StreamAdapter
+ * @property {string} name - name of the stream implementation
+ * @property {(task: object) => boolean} matches - checks the implementation
+ * @property {(task: object, chunk: any, encoding: string, callback: Function) => void} write
+ * - calls the write method of the task directly
+ * @property {(task: object) => boolean} canFlush - checks, if the task
+ * produces the output in the end
+ * @property {(task: object, callback: Function) => void} flush - calls
+ * the flush method of the task directly
+ * @property {(task: object, hooks: WriteHooks) => void} hookWrites - calls
+ * the hooks with every written chunk
+ */
+/**
+ * @typedef {object} WriteHooks
+ * @property {(chunk: any) => void} onWrite - the task starts processing the chunk
+ * @property {(chunk: any, err: Error|null) => void} onCallback - the task
+ * has called back, before the stream handles the result
+ * @property {(chunk: any) => void} onWritten - the chunk is processed
+ * and its outputs are emitted
+ */
+
+function isFunction(value) {
+  return typeof value === 'function'
+}
+
+/**
+ * @param {object} task the task
+ * @returns {boolean} whether the task is a streamx stream, like the gulp 5 ones
+ */
+function isStreamx(task) {
+  return (
+    typeof task._duplexState === 'number' &&
+    Boolean(task._readableState || task._writableState)
+  )
+}
+
+/**
+ * @param {object} spec the adapter description
+ * @param {string} spec.name name of the stream implementation
+ * @param {(task: object) => boolean} spec.matches checks the implementation
+ * @param {string} spec.writeMethod the method, that processes a chunk
+ * @param {string} spec.flushMethod the method, that processes the end of input
+ * @param {boolean} spec.encoded whether the write method gets the encoding
+ * @param {boolean} spec.deferred whether the pushed outputs are emitted
+ * after the write callback is called
+ * @returns {StreamAdapter} the adapter
+ */
+function createAdapter({
+  name,
+  matches,
+  writeMethod,
+  flushMethod,
+  encoded,
+  deferred,
+}) {
+  const settle = deferred
+    ? (callback) => setImmediate(callback)
+    : (callback) => callback()
+
+  return {
+    name,
+    matches,
+    write(task, chunk, encoding, callback) {
+      const args = encoded ? [chunk, encoding, callback] : [chunk, callback]
+      Reflect.apply(task[writeMethod], task, args)
+    },
+    canFlush: (task) => isFunction(task[flushMethod]),
+    flush(task, callback) {
+      Reflect.apply(task[flushMethod], task, [
+        (...args) => settle(() => callback(...args)),
+      ])
+    },
+    hookWrites(task, { onWrite, onCallback, onWritten }) {
+      const original = task[writeMethod]
+      task[writeMethod] = (...args) => {
+        // The callback is the last argument for all the implementations
+        const next = args.pop()
+        const [chunk] = args
+        onWrite(chunk)
+        Reflect.apply(original, task, [
+          ...args,
+          (...results) => {
+            onCallback(chunk, results[0] || null)
+            next(...results) // eslint-disable-line
+            settle(() => onWritten(chunk))
+          },
+        ])
+      }
+    },
+  }
+}
+
+// The order matters: the streamx transforms have `_write` too
+const adapters = [
+  createAdapter({
+    name: 'streamx-transform',
+    matches: (task) => isStreamx(task) && isFunction(task._transform),
+    writeMethod: '_transform',
+    flushMethod: '_flush',
+    encoded: false,
+    deferred: true,
+  }),
+  createAdapter({
+    name: 'streamx-duplex',
+    matches: (task) => isStreamx(task) && isFunction(task._write),
+    writeMethod: '_write',
+    flushMethod: '_final',
+    encoded: false,
+    deferred: true,
+  }),
+  // Node.js, through2 and readable-stream transforms
+  createAdapter({
+    name: 'transform',
+    matches: (task) => isFunction(task._transform),
+    writeMethod: '_transform',
+    flushMethod: '_flush',
+    encoded: true,
+    deferred: false,
+  }),
+  createAdapter({
+    name: 'duplex',
+    matches: (task) => isFunction(task._write) && isFunction(task.push),
+    writeMethod: '_write',
+    flushMethod: '_final',
+    encoded: true,
+    deferred: true,
+  }),
+]
+
+/**
+ * @param {object} task the task
+ * @returns {StreamAdapter|null} the adapter of the task stream,
+ * null if the stream is not supported
+ */
+function findAdapter(task) {
+  return (task && adapters.find((adapter) => adapter.matches(task))) || null
+}
+
+/**
+ * @param {object} task the task
+ * @returns {StreamAdapter} the adapter of the task stream
+ */
+function adapterOf(task) {
+  const adapter = findAdapter(task)
+  if (!adapter) {
+    throw new PluginError(
+      'gulp-memoize',
+      'The task must be a transform or duplex stream'
+    )
+  }
+  return adapter
+}
+
+/**
+ * Bumps up max listeners of the task to prevent memory leak warnings
+ * @param {object} task the task
+ * @param {number} count count of the added listeners, negative if removed
+ * @returns {void}
+ */
+function addMaxListeners(task, count) {
+  if (!isFunction(task.setMaxListeners)) return
+  task.setMaxListeners(Math.max((task._maxListeners || 0) + count, 0))
+}
+
+export { findAdapter, addMaxListeners }
+export default adapterOf
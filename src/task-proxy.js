@@ -1,38 +1,182 @@
 import EventEmitter from 'events'
-import log from 'fancy-log'
-import clr from 'ansi-colors'
-import { humanizeBytes, fileBytes, hash } from './helpers'
+import fs from 'fs'
+import path from 'path'
+import { promisify } from 'util'
+import PluginError from 'plugin-error'
+import File from 'vinyl'
+import {
+  fileBytes,
+  namespaceOf,
+  hash,
+  isPromise,
+  isIterable,
+  chain,
+} from './helpers'
+import DependencyIndex from './dependency-index'
+import PathIndex from './path-index'
+import HashPool from './hash-pool'
+import BlobStore from './blob-store'
+import { codecOf, compressFile, decompressFile } from './compression'
+import { createReporter } from './reporters'
+import adapterOf, { addMaxListeners } from './stream-adapters'
+
+const readFile = promisify(fs.readFile)
+
+// The property of the memo file, that holds the memoized task error
+const ERROR_PROP = 'memoizeError'
+// The property of the memo file, that marks the input without outputs
+const EMPTY_PROP = 'memoizeEmpty'
+// The property of the memo file, that holds its expiration timestamp
+const EXPIRES_PROP = 'memoizeExpiresAt'
+
+/** @typedef {import('./stream-adapters').StreamAdapter} StreamAdapter */
+
+/** @type {WeakMap<object, Map<string, number>>} */
+const cellDurations = new WeakMap()
 
-/** @typedef {import('vinyl')} File */
 /**
  * @callback KeyGetter
  * @argument {File} file
- * @returns {string}
+ * @returns {string|Buffer|Promise<string|Buffer>}
+ */
+/**
+ * @callback DependenciesGetter
+ * @argument {File} file
+ * @returns {string[]|Promise<string[]>}
+ */
+/**
+ * @callback ShouldMemoize
+ * @argument {File} file
+ * @returns {boolean|Promise<boolean>}
+ */
+/**
+ * @callback TtlGetter
+ * @argument {File} file
+ * @returns {number}
+ */
+/**
+ * The `Map` of the memo keys to the cells, or the async store,
+ * whose `get`, `set`, `has`, `delete` and optional `clear` return promises.
+ * The optional `flush` is called after the run to persist the changes
+ * @typedef {Map<string, File[]>|object} Memo
  */
 /**
  * @typedef {object} GulpMemoizeOptions
  * @property {boolean} [verbose] - report on every memo restore
- * @property {KeyGetter} [key] - redefine key calculation
- * @property {Map<string, File[]>} [memo] - memo instance
+ * @property {string|Function|object} [reporter] - reporter of the memo events
+ * @property {string} [logLevel] - minimal level of the reported events
+ * @property {KeyGetter|string} [key] - redefine key calculation
+ * @property {string} [algorithm] - hash algorithm of the keys
+ * @property {Memo} [memo] - memo instance
+ * @property {string} [memoDir] - directory for the persistent memo
  * @property {boolean} [clearMemoOnFlush] - clear memo on cache
+ * @property {number} [maxBytes] - memo size limit in bytes
+ * @property {number} [maxEntries] - memo cells count limit
+ * @property {boolean} [bufferStreams] - buffer the stream-mode files
+ * @property {boolean} [aggregate] - memoize all the files as a single cell
+ * @property {DependenciesGetter} [dependencies] - paths the output depends on
+ * @property {boolean} [preserveOrder] - emit outputs in the input order
+ * @property {string|object} [namespace] - scope of the memo keys
+ * @property {string[]|null} [restoreProps] - custom properties to restore
+ * @property {string[]} [carryOverProps] - properties of the input to keep
+ * @property {boolean} [memoizeErrors] - replay the task errors on restore
+ * @property {number|TtlGetter} [ttl] - lifetime of the cells in milliseconds
+ * @property {number} [workers] - count of the hashing worker threads
+ * @property {number} [workerThreshold] - minimal size of the hashed buffers
+ * @property {ShouldMemoize} [shouldMemoize] - whether to memoize the file
+ * @property {boolean} [refresh] - ignore the hits and overwrite the cells
+ * @property {boolean|string} [compress] - compress the memoized contents
+ * @property {number} [compressThreshold] - minimal size of the compressed
+ * @property {boolean|number} [verify] - share of the hits to check
+ * @property {'report'|'fail'} [verifyMode] - how to handle the mismatches
+ */
+/**
+ * @typedef {object} MemoStats
+ * @property {number} hits - count of the restored inputs
+ * @property {number} misses - count of the inputs passed to the task
+ * @property {number} bytesStored - size of the remembered files
+ * @property {number} bytesRestored - size of the restored files
+ * @property {number} taskTime - time spent in the task, ms
+ * @property {number} timeSaved - estimated time saved by the hits, ms
+ * @property {number} verified - count of the hits checked against the task
+ * @property {number} mismatches - count of the hits, that didn't match
+ */
+/**
+ * @typedef {object} CellUsage
+ * @property {string} relative - relative path of the first cell file
  */
 
-export default class TaskProxy {
+export default class TaskProxy extends EventEmitter {
   constructor(task, inputOptions) {
+    super()
     this.task = task
     /** @type {GulpMemoizeOptions} */
     this.options = inputOptions
 
-    /** @type {Map<string, File[]>} */
+    /** @type {Memo} */
     this._memo = this.options.memo || new Map()
-    this._memoBytes = 0
-    for (const cell of this._memo.values()) {
-      this._memoBytes += cell.reduce((acc, file) => acc + fileBytes(file), 0)
-    }
+    // The memos, that count their bytes, dedupe the contents themselves
+    this._blobs =
+      typeof this._memo.byteLength === 'number'
+        ? null
+        : BlobStore.of(this._memo)
+    /** @type {Promise<void>|null} the pending updates of the async memo */
+    this._writes = null
 
     /** @type {Array<Function>} */
     this._listenerRemovers = []
+    /** @type {Map<File, (err: Error) => void>} failure handlers of the writes */
+    this._writing = new Map()
+    /** @type {File|null} the chunk, the task is processing */
+    this._processing = null
+    /** @type {WeakSet<Error>} the task errors, that are already handled */
+    this._handledErrors = new WeakSet()
+    /** @type {Set<string>} */
+    this._refreshed = new Set()
     this._restoredCount = 0
+    this._evictedCount = 0
+    /** @type {MemoStats} */
+    this._stats = {
+      hits: 0,
+      misses: 0,
+      bytesStored: 0,
+      bytesRestored: 0,
+      taskTime: 0,
+      timeSaved: 0,
+      verified: 0,
+      mismatches: 0,
+    }
+    if (!cellDurations.has(this._memo)) {
+      cellDurations.set(this._memo, new Map())
+    }
+    /** @type {Map<string, number>} time spent in the task per cell, ms */
+    this._durations = cellDurations.get(this._memo)
+
+    this._dependencies = DependencyIndex.of(this._memo)
+    this._paths = PathIndex.of(this._memo)
+    /** @type {Map<string, Promise<string>>} */
+    this._dependencyHashes = new Map()
+
+    /** @type {Map<string, CellUsage>} cells, least recently used first */
+    this._usage = new Map()
+    this._limited =
+      Number.isFinite(this.options.maxBytes) ||
+      Number.isFinite(this.options.maxEntries)
+    if (this._limited && isIterable(this._memo)) {
+      for (const [memoKey, cell] of this._memo) {
+        this._touch(memoKey, cell)
+      }
+      this._evict()
+    }
+    // The expired cells are looked for only, when some of them may expire
+    this._expiring =
+      typeof this.options.ttl === 'function' ||
+      Number.isFinite(this.options.ttl)
+
+    /** @type {StreamAdapter|null} */
+    this._adapter = task ? adapterOf(task) : null
+    this._namespace = namespaceOf(this.options.namespace || 'default')
+    this._reporter = createReporter(this.options)
 
     if (task) {
       this._patchTask()
@@ -46,24 +190,127 @@ export default class TaskProxy {
    */
   processFile(inputFile, signals = new EventEmitter()) {
     process.nextTick(async () => {
-      const memoKey = await this._getFileKey(inputFile)
-      const memoFile = this._restore(memoKey, inputFile)
+      const { shouldMemoize } = this.options
+      let memoized = true
+      let memoKey = null
+      try {
+        memoized = !shouldMemoize || Boolean(await shouldMemoize(inputFile))
+        if (memoized) memoKey = await this._getFileKey(inputFile)
+        // The empty key means, the file should not be memoized
+        if (!memoKey) memoized = false
+      } catch (err) {
+        signals.emit('error', err)
+        this._listenerRemovers.push(() => signals.removeAllListeners())
+        return
+      }
+      if (!memoized) {
+        this._runTask(inputFile, signals)
+        return
+      }
+      this._indexPaths([inputFile], memoKey)
+      await this._refresh(memoKey)
+      const memoFiles = await this._restore(memoKey, inputFile)
 
-      if (memoFile) {
-        signals.emit('file', memoFile)
+      if (memoFiles && memoFiles.length && memoFiles[0][ERROR_PROP]) {
+        this._hit(memoKey, inputFile)
+        signals.emit('error', replayError(memoFiles[0][ERROR_PROP]))
+        this._listenerRemovers.push(() => signals.removeAllListeners())
+      } else if (memoFiles) {
+        this._hit(memoKey, inputFile)
+        const mismatch = this._shouldVerify()
+          ? await this._verify(inputFile, memoKey, memoFiles)
+          : null
+        if (mismatch) {
+          signals.emit('error', mismatch)
+          this._listenerRemovers.push(() => signals.removeAllListeners())
+          return
+        }
+        memoFiles.forEach((memoFile) => signals.emit('file', memoFile))
         signals.emit('done')
         this._listenerRemovers.push(() => signals.removeAllListeners())
       } else {
+        this._miss(inputFile)
         this._runTaskAndRemember(inputFile, memoKey, signals)
       }
     })
     return signals
   }
 
+  /**
+   * Processes the whole set of input files as a single memo cell,
+   * for the tasks that produce the output in `_flush`
+   * @param {File[]} inputFiles the input files
+   * @param {EventEmitter} signals the signals event emitter
+   * @returns {EventEmitter} the signals
+   */
+  processAll(inputFiles, signals = new EventEmitter()) {
+    process.nextTick(async () => {
+      try {
+        const memoKey = await this._getFilesKey(inputFiles)
+        if (!memoKey) {
+          await this._runAggregatedTask(inputFiles, null, signals)
+          await this._flush()
+          signals.emit('done')
+          return
+        }
+        this._indexPaths(inputFiles, memoKey)
+        await this._refresh(memoKey)
+        const memoFiles = await this._restoreAll(memoKey)
+
+        if (memoFiles) {
+          inputFiles.forEach((inputFile) => this._hit(memoKey, inputFile))
+          memoFiles.forEach((memoFile) => signals.emit('file', memoFile))
+        } else {
+          inputFiles.forEach((inputFile) => this._miss(inputFile))
+          const startedAt = Date.now()
+          await this._runAggregatedTask(inputFiles, memoKey, signals)
+          this._recordTaskTime(memoKey, Date.now() - startedAt)
+          this._rememberEmpty(memoKey, inputFiles[0])
+        }
+        await this._flush()
+        signals.emit('done')
+      } catch (err) {
+        signals.emit('error', err)
+      }
+    })
+    return signals
+  }
+
+  /**
+   * Removes the cells of the input files matching the path or glob
+   * @param {string} pathOrGlob the path or glob, relative to the cwd
+   * @returns {number|Promise<number>} count of the removed cells,
+   * a promise of it for the async memo
+   */
+  forget(pathOrGlob) {
+    const results = this._paths
+      .match(pathOrGlob)
+      .map((memoKey) => this.invalidate(memoKey))
+    const count = (existed) => existed.filter(Boolean).length
+    return results.some(isPromise)
+      ? Promise.all(results).then(count)
+      : count(results)
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @returns {boolean|Promise<boolean>} whether the cell existed,
+   * a promise of it for the async memo
+   */
+  invalidate(memoKey) {
+    this._paths.remove(memoKey)
+    return this._forget(memoKey)
+  }
+
+  /** @returns {MemoStats} statistics of the memo usage */
+  stats() {
+    return { ...this._stats }
+  }
+
   async flush(next) {
     try {
-      if (typeof this.task._flush === 'function') {
-        this.task._flush(async (...args) => {
+      if (this._adapter.canFlush(this.task)) {
+        this._adapter.flush(this.task, async (...args) => {
           await this._flush()
           next(...args)
         })
@@ -80,53 +327,286 @@ export default class TaskProxy {
 
   async _getFileKey(file) {
     const key = await this.options.key(file)
-    return key ? hash(key) : key
+    if (!key) return key
+    const keyHash = await this._hashKey(key)
+    if (!this.options.dependencies) return this._scopeKey(keyHash)
+
+    const depPaths = ((await this.options.dependencies(file)) || [])
+      .map((depPath) => path.resolve(file.cwd, depPath))
+      .sort()
+    const depHashes = await Promise.all(
+      depPaths.map((depPath) => this._hashDependency(depPath))
+    )
+    const depsKey = depPaths.map((depPath, i) => `${depPath}:${depHashes[i]}`)
+    const memoKey = this._scopeKey(this._hash([keyHash, ...depsKey].join('\n')))
+
+    this._dependencies.add(memoKey, depPaths)
+    return memoKey
+  }
+
+  /**
+   * Hashes the dependency once per run and forgets the memo cells,
+   * that depend on its previous contents
+   * @param {string} depPath the dependency path
+   * @returns {Promise<string>} the dependency hash
+   */
+  _hashDependency(depPath) {
+    if (!this._dependencyHashes.has(depPath)) {
+      const pending = readFile(depPath)
+        .then(
+          (contents) => this._hash(contents),
+          () => 'missing'
+        )
+        .then((depHash) => {
+          this._dependencies
+            .update(depPath, depHash)
+            .forEach((memoKey) => this._write(() => this._forget(memoKey)))
+          return depHash
+        })
+      this._dependencyHashes.set(depPath, pending)
+    }
+    return this._dependencyHashes.get(depPath)
+  }
+
+  async _getFilesKey(files) {
+    const keys = await Promise.all(files.map((file) => this._getFileKey(file)))
+    if (keys.some((key) => !key)) return null
+    return this._scopeKey(
+      this._hash(
+        files.map((file, i) => `${file.relative}:${keys[i]}`).join('\n')
+      )
+    )
+  }
+
+  _indexPaths(files, memoKey) {
+    if (!memoKey) return
+    files
+      .filter((file) => file.path)
+      .forEach((file) => this._paths.add(file.path, memoKey))
+  }
+
+  _hash(key) {
+    return hash(key, this.options.algorithm)
+  }
+
+  /**
+   * Hashes the large buffers in the worker threads, when enabled
+   * @param {string|Buffer} key the key
+   * @returns {Promise<string>} the key hash
+   */
+  async _hashKey(key) {
+    const { workers, workerThreshold, algorithm } = this.options
+    if (!workers || !Buffer.isBuffer(key) || key.length < workerThreshold) {
+      return this._hash(key)
+    }
+
+    try {
+      return await HashPool.shared(workers).hash(key, algorithm)
+    } catch (err) {
+      return this._hash(key)
+    }
+  }
+
+  _scopeKey(key) {
+    return `${this._namespace}:${key}`
   }
 
   _runTaskAndRemember(file, memoKey, signals = new EventEmitter()) {
+    const startedAt = Date.now()
+    let hasResult = false
     signals.on('cache', (memoFile) => {
+      hasResult = true
       this._remember(memoKey, memoFile)
       signals.emit('file', memoFile)
     })
+    signals.once('done', () => {
+      this._recordTaskTime(memoKey, Date.now() - startedAt)
+      // The task may report the error right after the completion
+      process.nextTick(() => {
+        if (!hasResult) this._rememberEmpty(memoKey, file)
+      })
+    })
+    signals.once('error', (err) => {
+      hasResult = true
+      if (this.options.memoizeErrors) this._rememberError(memoKey, err, file)
+    })
+    // The remembered outputs are incomplete, so the task runs the next time
+    signals.on('late', () => {
+      hasResult = true
+      this._reportLate(file)
+      this._write(() => this._forget(memoKey))
+    })
+
+    return this._runTask(file, signals)
+  }
+
+  /** @returns {boolean} whether to check the next hit against the task */
+  _shouldVerify() {
+    const { verify } = this.options
+    if (!verify || !this.task) return false
+    return verify === true || Math.random() < verify
+  }
+
+  /**
+   * Runs the task for the restored input and compares its outputs
+   * with the restored ones. The cell may be remembered for the same
+   * contents at another path, so the outputs are rebased like the restored
+   * ones before the comparison
+   * @param {File} inputFile the input file
+   * @param {string} memoKey the memo key
+   * @param {File[]} restored the restored files
+   * @returns {Promise<PluginError|null>} the error to fail with
+   */
+  async _verify(inputFile, memoKey, restored) {
+    const memoizedCount = ((await this._getCell(memoKey)) || []).filter(
+      (file) => !file[EMPTY_PROP]
+    ).length
+    const produced = []
+    const diff = await new Promise((resolve) => {
+      const signals = new EventEmitter()
+      signals.on('file', (file) => produced.push(file))
+      signals.once('done', () => {
+        const counts =
+          memoizedCount === produced.length
+            ? []
+            : [`${memoizedCount} files memoized, ${produced.length} produced`]
+        resolve([
+          ...counts,
+          ...diffOutputs(restored, rebaseOutputs(produced, inputFile)),
+        ])
+      })
+      signals.once('error', (err) => resolve([`task failed: ${err.message}`]))
+      this._runTask(inputFile.clone(), signals)
+    })
 
-    return this._runTask(file, memoKey, signals)
+    this._stats.verified++
+    if (!diff.length) return null
+
+    this._stats.mismatches++
+    this.emit('mismatch', inputFile, diff)
+    if (this.options.verifyMode === 'fail') {
+      const summary = diff.map((line) => `  ${line}`).join('\n')
+      return new PluginError(
+        'gulp-memoize',
+        `Output of ${inputFile.relative} differs from the memoized one:\n${summary}`,
+        { fileName: inputFile.path }
+      )
+    }
+    this._reportMismatch(inputFile, diff)
+    return null
   }
 
-  _runTask(file, memoKey, signals = new EventEmitter()) {
-    const onError = (err) => signals.emit('error', err)
-    const onTransformed = () => signals.emit('done')
+  /**
+   * Writes the file to the task. The files may be written concurrently,
+   * so the outputs are matched to the write by its tag. The outputs
+   * matched after the write is done are passed on as the late ones
+   * @param {File} file the input file
+   * @param {EventEmitter} signals the signals event emitter
+   * @returns {EventEmitter} the signals
+   */
+  _runTask(file, signals = new EventEmitter()) {
+    const tag = Symbol('write')
+    let isDone = false
+    const onTransformed = (chunk) => {
+      if (chunk !== file) return
+      this.task.removeListener('gulp-memoize:transformed', onTransformed)
+      // The failed write is already settled
+      if (!this._writing.delete(file)) return
+      isDone = true
+      signals.emit('done')
+    }
+    const onError = (err) => {
+      this._writing.delete(file)
+      this.task.removeListener('gulp-memoize:transformed', onTransformed)
+      signals.emit('error', err)
+    }
     const onData = (datum) => {
-      if (datum._memoKey !== memoKey) return
+      if (datum._memoKey !== tag) return
       Reflect.deleteProperty(datum, '_memoKey')
 
+      if (isDone) {
+        signals.emit('late', datum)
+        signals.emit('file', datum)
+        return
+      }
       const signal = signals.listenerCount('cache') >= 1 ? 'cache' : 'file'
       signals.emit(signal, datum)
     }
-    const listenersCount = 3
+    const listenersCount = 2
 
     this._listenerRemovers.push(() => {
-      this.task.removeListener('error', onError)
+      this._writing.delete(file)
       this.task.removeListener('gulp-memoize:transformed', onTransformed)
       this.task.removeListener('data', onData)
-      this.task.setMaxListeners(this.task._maxListeners - listenersCount)
+      addMaxListeners(this.task, -listenersCount)
       signals.removeAllListeners()
     })
 
-    // Bump up max listeners to prevent memory leak warnings
-    this.task.setMaxListeners((this.task._maxListeners || 0) + listenersCount)
+    addMaxListeners(this.task, listenersCount)
 
     this.task.on('data', onData)
-    this.task.once('gulp-memoize:transformed', onTransformed)
-    this.task.once('error', onError)
+    this.task.on('gulp-memoize:transformed', onTransformed)
+    this._writing.set(file, onError)
 
-    file._memoKey = memoKey
+    file._memoKey = tag
 
     // Run through the other task and grab output (or error)
     this.task.write(file)
-
     return signals
   }
 
+  /**
+   * Writes all the files to the task and flushes it,
+   * remembering everything the task outputs
+   * @param {File[]} files the input files
+   * @param {string|null} memoKey the memo key, null to remember nothing
+   * @param {EventEmitter} signals the signals event emitter
+   * @returns {Promise<void>} resolves when the task is flushed
+   */
+  async _runAggregatedTask(files, memoKey, signals) {
+    let error = null
+    const onError = (err) => {
+      error = err
+    }
+    const onData = (datum) => {
+      Reflect.deleteProperty(datum, '_memoKey')
+      if (memoKey) this._remember(memoKey, datum)
+      signals.emit('file', datum)
+    }
+
+    this._listenerRemovers.push(() => {
+      this.task.removeListener('data', onData)
+      addMaxListeners(this.task, -1)
+    })
+
+    addMaxListeners(this.task, 1)
+    this.task.on('data', onData)
+
+    for (const file of files) {
+      await new Promise((resolve) => {
+        this.task.once('gulp-memoize:transformed', resolve)
+        this._writing.set(file, onError)
+        this.task.write(file)
+      })
+      this._writing.delete(file)
+      if (error) throw error
+    }
+
+    if (this._adapter.canFlush(this.task)) {
+      await new Promise((resolve, reject) => {
+        this._adapter.flush(this.task, (err, datum) => {
+          if (err) {
+            reject(err)
+            return
+          }
+          if (datum) this.task.push(datum)
+          resolve()
+        })
+      })
+    }
+    if (error) throw error
+  }
+
   /**
    * @param {string} memoKey the memo key
    * @param {File} memoFile the memo file
@@ -134,83 +614,586 @@ export default class TaskProxy {
    */
   _remember(memoKey, memoFile) {
     const fileCopy = memoFile.clone({ contents: false })
-    if (this._memo.has(memoKey)) {
-      this._memo.get(memoKey).push(fileCopy)
-    } else {
-      this._memo.set(memoKey, [fileCopy])
+    const bytes = fileBytes(fileCopy)
+    this._expire(fileCopy)
+    const codec = codecOf(this.options.compress)
+    if (codec && bytes >= this.options.compressThreshold) {
+      compressFile(fileCopy, codec)
     }
+    this._write(() =>
+      chain(this._memo.get(memoKey), (prevCell) => {
+        // Always set the whole cell, so the persistent memos get updated too
+        const cell = [...(prevCell || []), fileCopy]
+        if (this._blobs) this._blobs.retain(memoKey, cell)
+        return chain(this._memo.set(memoKey, cell), () => {
+          this._stats.bytesStored += bytes
+          this._touch(memoKey, cell)
+          this.emit('remember', memoFile)
+          this._reportRemembered(memoFile)
+          if (this._limited) this._evict()
+        })
+      })
+    )
+  }
 
-    this._memoBytes += fileBytes(fileCopy)
-    if (this.options.verbose) this._reportRemembered(memoFile)
+  /**
+   * Remembers that the task produced no output at all
+   * @param {string} memoKey the memo key
+   * @param {File} [inputFile] the input file
+   * @returns {void}
+   */
+  _rememberEmpty(memoKey, inputFile) {
+    const emptyFile = markerFile(inputFile)
+    emptyFile[EMPTY_PROP] = true
+    this._expire(emptyFile)
+    const cell = [emptyFile]
+    this._write(() =>
+      chain(this._memo.has(memoKey), (exists) => {
+        if (exists) return undefined
+        return chain(this._memo.set(memoKey, cell), () =>
+          this._touch(memoKey, cell)
+        )
+      })
+    )
   }
 
   /**
+   * Replaces the cell with the error, so it is replayed until the input changes
    * @param {string} memoKey the memo key
+   * @param {Error} err the task error
    * @param {File} inputFile the input file
    * @returns {void}
    */
-  _restore(memoKey, inputFile) {
-    const cell = this._memo.get(memoKey)
+  _rememberError(memoKey, err, inputFile) {
+    const errorFile = markerFile(inputFile)
+    errorFile[ERROR_PROP] = {
+      message: err.message,
+      plugin: err.plugin || null,
+      fileName: err.fileName || inputFile.path || null,
+    }
+
+    this._write(() => this._forget(memoKey))
+    this._remember(memoKey, errorFile)
+  }
+
+  /**
+   * Stamps the memo file with the expiration time of the `ttl` option
+   * @param {File} memoFile the memo file
+   * @returns {void}
+   */
+  _expire(memoFile) {
+    const { ttl } = this.options
+    const duration = typeof ttl === 'function' ? ttl(memoFile) : ttl
+    if (Number.isFinite(duration)) {
+      memoFile[EXPIRES_PROP] = Date.now() + duration
+    }
+  }
+
+  /**
+   * Runs the memo update after the pending ones, so the concurrent
+   * updates of the async memo cells don't get lost.
+   * The failed updates are reported and otherwise ignored.
+   * @param {() => any} update the update, that may return a promise
+   * @returns {void}
+   */
+  _write(update) {
+    const run = () => {
+      try {
+        const result = update()
+        if (isPromise(result)) {
+          return result.then(null, (err) => this._reportMemoError(err))
+        }
+      } catch (err) {
+        this._reportMemoError(err)
+      }
+      return undefined
+    }
+
+    if (this._writes) {
+      this._writes = this._writes.then(run)
+    } else {
+      // The synchronous memos are updated right away
+      this._writes = run() || null
+    }
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @returns {Promise<File[]|undefined>} the cell, unless it has expired
+   * or the memo has failed
+   */
+  async _getCell(memoKey) {
+    let cell = null
+    try {
+      await this._writes
+      cell = await this._memo.get(memoKey)
+      if (cell && isExpired(cell)) {
+        await this._forget(memoKey)
+        return undefined
+      }
+    } catch (err) {
+      this._reportMemoError(err)
+      return undefined
+    }
+    return cell
+  }
+
+  /**
+   * Forgets the cell once per run in the refresh mode,
+   * so it gets overwritten with the fresh outputs
+   * @param {string} memoKey the memo key
+   * @returns {Promise<void>} resolved when the cell is forgotten
+   */
+  _refresh(memoKey) {
+    if (!this.options.refresh || this._refreshed.has(memoKey)) {
+      return Promise.resolve()
+    }
+    this._refreshed.add(memoKey)
+    this._write(() => this._forget(memoKey))
+    return Promise.resolve(this._writes)
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @param {File} inputFile the input file
+   * @returns {Promise<File[]|null>} the restored file,
+   * or none for the empty cell
+   */
+  async _restore(memoKey, inputFile) {
+    const cell = await this._getCell(memoKey)
     if (!cell) {
       return null
     }
 
-    const memoFile =
-      cell.length === 1
-        ? cell[0]
-        : cell.find((el) => el.basename === inputFile.basename) || cell[0]
-    const restoredFile = memoFile.clone({ contents: false })
+    this._restoredCount++
+    this._touch(memoKey, cell)
+    if (!cell.length || cell[0][EMPTY_PROP]) {
+      this._reportRestored(null, inputFile)
+      return []
+    }
+
+    const memoFile = outputOf(cell, inputFile)
+    const restoredFile = this._cloneMemoFile(memoFile)
     restoredFile.path = inputFile.path
     restoredFile.base = inputFile.base
+    const carryOverProps = this.options.carryOverProps || []
+    carryOverProps.forEach((prop) => {
+      if (prop in inputFile) restoredFile[prop] = inputFile[prop]
+    })
 
-    if (this.options.verbose) this._reportRestored(memoFile, inputFile)
-    this._restoredCount++
+    this._reportRestored(memoFile, inputFile)
+    this._stats.bytesRestored += fileBytes(restoredFile)
 
-    return restoredFile
+    return [restoredFile]
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @returns {Promise<File[]|null>} copies of the whole cell files
+   */
+  async _restoreAll(memoKey) {
+    const cell = await this._getCell(memoKey)
+    if (!cell) {
+      return null
+    }
+
+    this._touch(memoKey, cell)
+    if (cell[0] && cell[0][EMPTY_PROP]) return []
+    return cell.map((memoFile) => {
+      this._reportRestored(memoFile, memoFile)
+      const restoredFile = this._cloneMemoFile(memoFile)
+      this._restoredCount++
+      this._stats.bytesRestored += fileBytes(restoredFile)
+      return restoredFile
+    })
   }
 
   /**
    * @param {File} memoFile the memo file
+   * @returns {File} the decompressed copy with only the restorable
+   * custom properties
+   */
+  _cloneMemoFile(memoFile) {
+    const fileCopy = memoFile.clone({ contents: false })
+    Reflect.deleteProperty(fileCopy, EXPIRES_PROP)
+    decompressFile(fileCopy)
+    const { restoreProps } = this.options
+    if (!Array.isArray(restoreProps)) return fileCopy
+
+    Object.keys(fileCopy)
+      .filter((key) => fileCopy.constructor.isCustomProp(key))
+      .filter((key) => !key.startsWith('_') && key !== ERROR_PROP)
+      .filter((key) => !restoreProps.includes(key))
+      .forEach((key) => Reflect.deleteProperty(fileCopy, key))
+    return fileCopy
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @param {File} inputFile the restored input file
    * @returns {void}
    */
-  _reportRemembered(memoFile) {
-    const suf = clr.gray(`(Memo is ${humanizeBytes(this._memoBytes)})`)
-    log(`gulp-memoize: ${clr.green('✔')} ${memoFile.relative} ${suf}`)
+  _hit(memoKey, inputFile) {
+    const { misses, taskTime } = this._stats
+    const averageTime = misses ? taskTime / misses : 0
+    const duration = this._durations.has(memoKey)
+      ? this._durations.get(memoKey)
+      : averageTime
+
+    this._stats.hits++
+    this._stats.timeSaved += duration
+    this.emit('hit', inputFile, memoKey)
+  }
+
+  /**
+   * @param {File} inputFile the input file passed to the task
+   * @returns {void}
+   */
+  _miss(inputFile) {
+    this._stats.misses++
+    this.emit('miss', inputFile)
+  }
+
+  /**
+   * @param {string} memoKey the memo key
+   * @param {number} duration time spent in the task, ms
+   * @returns {void}
+   */
+  _recordTaskTime(memoKey, duration) {
+    this._stats.taskTime += duration
+    this._durations.set(memoKey, duration)
+  }
+
+  /**
+   * The memo failures are reported, as nobody may wait for the result,
+   * like the watcher
+   * @param {string} memoKey the memo key
+   * @returns {boolean|Promise<boolean>} whether the cell existed
+   */
+  _forget(memoKey) {
+    const onError = (err) => {
+      this._reportMemoError(err)
+      return false
+    }
+    try {
+      const result = chain(this._memo.get(memoKey), (cell) => {
+        if (!cell) return false
+
+        return chain(this._memo.delete(memoKey), () => {
+          this._usage.delete(memoKey)
+          this._durations.delete(memoKey)
+          if (this._blobs) this._blobs.release(memoKey)
+          return true
+        })
+      })
+      return isPromise(result) ? result.then(null, onError) : result
+    } catch (err) {
+      return onError(err)
+    }
+  }
+
+  /** @returns {number} size of the memo contents without the duplicates */
+  _memoBytes() {
+    return this._blobs ? this._blobs.byteLength : this._memo.byteLength
+  }
+
+  /** @returns {number} size of the memo contents before the compression */
+  _memoRawBytes() {
+    const memo = this._blobs || this._memo
+    return typeof memo.rawByteLength === 'number'
+      ? memo.rawByteLength
+      : memo.byteLength
+  }
+
+  /**
+   * Marks the cell as the most recently used one
+   * @param {string} memoKey the memo key
+   * @param {File[]} cell the memo cell
+   * @returns {void}
+   */
+  _touch(memoKey, cell) {
+    if (!this._limited) return
+    this._usage.delete(memoKey)
+    this._usage.set(memoKey, {
+      relative: cell.length ? cell[0].relative : '',
+    })
+  }
+
+  /**
+   * Removes the least recently used cells until the memo fits the limits.
+   * The most recently used cell is kept, as it may be still filling up.
+   * @returns {void}
+   */
+  _evict() {
+    const { maxBytes, maxEntries } = this.options
+
+    for (const [memoKey, usage] of this._usage) {
+      // The async memos may not know their size
+      const size = Number.isFinite(this._memo.size)
+        ? this._memo.size
+        : this._usage.size
+      const isOver = size > maxEntries || this._memoBytes() > maxBytes
+      if (!isOver || this._usage.size <= 1) break
+
+      const bytesBefore = this._memoBytes()
+      this._usage.delete(memoKey)
+      this._durations.delete(memoKey)
+      if (this._blobs) this._blobs.release(memoKey)
+      const deleted = this._memo.delete(memoKey)
+      if (!deleted) continue
+      if (isPromise(deleted)) {
+        deleted.then(null, (err) => this._reportMemoError(err))
+      }
+
+      this._evictedCount++
+      const freed = bytesBefore - this._memoBytes()
+      this._reportEvicted(usage, freed)
+    }
+  }
+
+  /**
+   * @param {string} type the event type
+   * @param {string} level the event level
+   * @param {() => object} getData the event data, only got when reported
+   * @returns {void}
+   */
+  _report(type, level, getData) {
+    if (!this._reporter.enabled(level)) return
+    const namespace = this._namespace
+    this._reporter.report({ type, level, namespace, ...getData() })
   }
 
   /**
    * @param {File} memoFile the memo file
+   * @returns {void}
+   */
+  _reportRemembered(memoFile) {
+    this._report('remember', 'debug', () => ({
+      file: relativeOf(memoFile),
+      bytes: fileBytes(memoFile),
+      memoBytes: this._memoBytes(),
+      memoRawBytes: this._memoRawBytes(),
+    }))
+  }
+
+  /**
+   * @param {File|null} memoFile the memo file, null for the empty cell
    * @param {File} inputFile the original file
    * @returns {void}
    */
   _reportRestored(memoFile, inputFile) {
-    const src = clr.gray(`(${memoFile.relative})`)
-    log(`gulp-memoize: ${clr.gray('✔')} ${inputFile.relative} ${src}`)
+    this._report('restore', 'debug', () => ({
+      file: relativeOf(inputFile),
+      source: memoFile ? relativeOf(memoFile) : null,
+    }))
+  }
+
+  /**
+   * @param {CellUsage} usage the evicted cell usage
+   * @param {number} freed size of the contents, no longer used by other cells
+   * @returns {void}
+   */
+  _reportEvicted(usage, freed) {
+    this._report('evict', 'debug', () => ({ file: usage.relative, freed }))
+  }
+
+  /**
+   * @param {File} inputFile the input file
+   * @param {string[]} diff the differences of the outputs
+   * @returns {void}
+   */
+  _reportMismatch(inputFile, diff) {
+    this._report('mismatch', 'warn', () => ({
+      file: relativeOf(inputFile),
+      diff,
+    }))
+  }
+
+  /**
+   * @param {File} inputFile the input file
+   * @returns {void}
+   */
+  _reportLate(inputFile) {
+    this._report('late', 'warn', () => ({ file: relativeOf(inputFile) }))
+  }
+
+  /**
+   * @param {Error} err the memo error
+   * @returns {void}
+   */
+  _reportMemoError(err) {
+    this._report('memoError', 'error', () => ({ message: err.message }))
   }
 
   _reportTotal() {
-    const size = humanizeBytes(this._memoBytes)
-    log(`gulp-memoize: Restored ${this._restoredCount} items, memo is ${size}`)
+    this._report('total', 'info', () => ({
+      restored: this._restoredCount,
+      evicted: this._evictedCount,
+      memoBytes: this._memoBytes(),
+      memoRawBytes: this._memoRawBytes(),
+    }))
   }
 
   _patchTask() {
-    const _transform = this.task._transform
-    this.task._transform = (chunk, encoding, next) => {
-      Reflect.apply(_transform, this.task, [
-        chunk,
-        encoding,
-        (...args) => {
-          next(...args) // eslint-disable-line
-          this.task.emit('gulp-memoize:transformed')
-        },
-      ])
+    this._adapter.hookWrites(this.task, {
+      onWrite: (chunk) => {
+        this._processing = chunk
+      },
+      onCallback: (chunk, err) => {
+        this._processing = null
+        if (err) this._handleTaskError(err, chunk)
+      },
+      onWritten: (chunk) => {
+        this.task.emit('gulp-memoize:transformed', chunk)
+      },
+    })
+    this.task.on('error', (err) => this._handleTaskError(err, this._processing))
+  }
+
+  /**
+   * Passes the task error to the write, that has caused it, once.
+   * The errors outside of the writes are emitted by the proxy
+   * @param {Error} err the task error
+   * @param {File|null} chunk the chunk, the task was processing
+   * @returns {void}
+   */
+  _handleTaskError(err, chunk) {
+    if (err && typeof err === 'object') {
+      if (this._handledErrors.has(err)) return
+      this._handledErrors.add(err)
+    }
+
+    const onError = chunk && this._writing.get(chunk)
+    if (onError) {
+      onError(err)
+    } else {
+      this.emit('error', err)
     }
   }
 
   async _flush() {
+    await this._writes
     this._reportTotal()
+    this.emit('summary', this.stats())
     this._listenerRemovers.forEach((remove) => remove())
     this._listenerRemovers = []
-    if (this.options.clearMemoOnFlush) this._memo.clear()
+    if (this.options.clearMemoOnFlush) {
+      if (typeof this._memo.clear === 'function') {
+        this._write(() => this._memo.clear())
+      }
+      this._paths.clear()
+      this._usage.clear()
+      this._durations.clear()
+      if (this._blobs) this._blobs.clear()
+    } else if (this._expiring && isIterable(this._memo)) {
+      this._pruneExpired()
+    }
+    await this._writes
+    if (typeof this._memo.flush === 'function') await this._memo.flush()
+  }
+
+  _pruneExpired() {
+    Array.from(this._memo.entries())
+      .filter(([, cell]) => isExpired(cell))
+      .forEach(([memoKey]) => this._write(() => this.invalidate(memoKey)))
+  }
+}
+
+/**
+ * @param {File[]} files the outputs of the input file
+ * @param {File} inputFile the input file
+ * @returns {File} the output, that is restored for the input file
+ */
+function outputOf(files, inputFile) {
+  return files.length === 1
+    ? files[0]
+    : files.find((file) => file.basename === inputFile.basename) || files[0]
+}
+
+/**
+ * @param {File[]} files the outputs of the task
+ * @param {File} inputFile the input file
+ * @returns {File[]} the output, that would be restored, at the input path
+ */
+function rebaseOutputs(files, inputFile) {
+  if (!files.length) return []
+
+  const file = outputOf(files, inputFile).clone({ contents: false })
+  file.path = inputFile.path
+  file.base = inputFile.base
+  return [file]
+}
+
+/**
+ * @param {File[]} memoized the memoized outputs
+ * @param {File[]} produced the outputs of the task
+ * @returns {string[]} the differences, empty if the outputs match
+ */
+function diffOutputs(memoized, produced) {
+  const diff = []
+  const producedFiles = new Map(produced.map((file) => [file.relative, file]))
+  memoized.forEach((memoFile) => {
+    const file = producedFiles.get(memoFile.relative)
+    producedFiles.delete(memoFile.relative)
+    if (!file) {
+      diff.push(`${memoFile.relative}: not produced`)
+    } else if (!sameContents(memoFile, file)) {
+      const sizes = `${fileBytes(memoFile)} B memoized, ${fileBytes(
+        file
+      )} B produced`
+      diff.push(`${memoFile.relative}: contents differ (${sizes})`)
+    }
+  })
+  producedFiles.forEach((file, relative) => {
+    diff.push(`${relative}: not memoized`)
+  })
+  return diff
+}
+
+function sameContents(fileA, fileB) {
+  if (!fileA.isBuffer() || !fileB.isBuffer()) {
+    return fileA.isBuffer() === fileB.isBuffer()
   }
+  return fileA.contents.equals(fileB.contents)
+}
+
+/**
+ * @param {File} file the file
+ * @returns {string} the relative path, or empty if the file has no path
+ */
+function relativeOf(file) {
+  return file.path ? file.relative : ''
+}
+
+/**
+ * @param {File} [inputFile] the input file
+ * @returns {File} the contentless file at the input path
+ */
+function markerFile(inputFile) {
+  if (!inputFile) return new File()
+  return new File({
+    cwd: inputFile.cwd,
+    base: inputFile.base,
+    path: inputFile.path,
+  })
+}
+
+/**
+ * @param {File[]} cell the memo cell
+ * @returns {boolean} whether any of the cell files has expired
+ */
+function isExpired(cell) {
+  const now = Date.now()
+  return cell.some((file) => file[EXPIRES_PROP] <= now)
+}
+
+/**
+ * @param {object} record the memoized error
+ * @returns {Error} the error equivalent to the original one
+ */
+function replayError(record) {
+  if (!record.plugin) return new Error(record.message)
+  return new PluginError(record.plugin, record.message, {
+    fileName: record.fileName,
+  })
 }
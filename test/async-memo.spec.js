@@ -0,0 +1,107 @@
+import EventEmitter from 'events'
+import through from 'through2'
+import memoize from '../src'
+import AsyncMemo from '../src/async-memo'
+import { makeFile, run } from './helpers'
+
+describe('AsyncMemo', () => {
+  let handler = null
+
+  beforeEach(() => {
+    handler = jest.fn((file, enc, cb) => {
+      file.contents = Buffer.from(`${file.contents}-modified`)
+      cb(null, file)
+    })
+  })
+
+  it('stores copies of the cells', async () => {
+    const memo = new AsyncMemo()
+    const file = makeFile('a')
+    await memo.set('key', [file])
+    file.contents = Buffer.from('changed')
+
+    const [restored] = await memo.get('key')
+
+    expect(String(restored.contents)).toBe('a')
+    expect(await memo.has('key')).toBe(true)
+    expect(await memo.delete('key')).toBe(true)
+    expect(await memo.get('key')).toBeUndefined()
+  })
+
+  it('restores the memoized outputs', async () => {
+    const memo = new AsyncMemo()
+    const opts = { memo, clearMemoOnFlush: false }
+    const files = () => [makeFile('a'), makeFile('b'), makeFile('a', '/c.txt')]
+
+    await run(memoize(through.obj(handler), opts), files())
+    const proxied = memoize(through.obj(handler), opts)
+    const output = await run(proxied, files())
+
+    expect(handler).toHaveBeenCalledTimes(2)
+    expect(proxied.stats()).toMatchObject({ hits: 3, misses: 0 })
+    expect(output.map((file) => String(file.contents))).toEqual([
+      'a-modified',
+      'b-modified',
+      'a-modified',
+    ])
+  })
+
+  it('forgets and clears the cells asynchronously', async () => {
+    const memo = new AsyncMemo()
+    await run(
+      memoize(through.obj(handler), { memo, clearMemoOnFlush: false }),
+      [makeFile('a')]
+    )
+
+    expect(await memoize.forget('/some/a.txt', memo)).toBe(1)
+    await run(memoize(through.obj(handler), { memo }), [makeFile('a')])
+    await run(memoize(through.obj(handler), { memo }), [makeFile('a')])
+
+    expect(handler).toHaveBeenCalledTimes(3)
+  })
+
+  it('reports the memo errors on forget', async () => {
+    const memo = new AsyncMemo()
+    await run(
+      memoize(through.obj(handler), { memo, clearMemoOnFlush: false }),
+      [makeFile('a')]
+    )
+    memo.get = () => Promise.reject(new Error('Connection refused'))
+    const unhandled = jest.fn()
+    process.on('unhandledRejection', unhandled)
+    const reporter = jest.fn()
+    memoize.defaultOptions.reporter = reporter
+
+    const watcher = new EventEmitter()
+    memoize.bindWatcher(watcher, memo)
+    watcher.emit('change', '/some/a.txt')
+    const count = await memoize.forget('/some/a.txt', memo)
+    await new Promise((resolve) => setImmediate(resolve))
+    process.removeListener('unhandledRejection', unhandled)
+    memoize.defaultOptions.reporter = null
+
+    expect(count).toBe(0)
+    expect(unhandled).not.toHaveBeenCalled()
+    expect(reporter).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'memoError',
+        message: 'Connection refused',
+      })
+    )
+  })
+
+  it('runs the task when the memo fails', async () => {
+    const memo = new AsyncMemo()
+    memo.get = () => Promise.reject(new Error('Connection refused'))
+    memo.set = () => Promise.reject(new Error('Connection refused'))
+    const opts = { memo, clearMemoOnFlush: false }
+
+    await run(memoize(through.obj(handler), opts), [makeFile('a')])
+    const output = await run(memoize(through.obj(handler), opts), [
+      makeFile('a'),
+    ])
+
+    expect(handler).toHaveBeenCalledTimes(2)
+    expect(String(output[0].contents)).toBe('a-modified')
+  })
+})
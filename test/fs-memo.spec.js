@@ -0,0 +1,135 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import through from 'through2'
+import memoize from '../src'
+import FsMemo from '../src/fs-memo'
+import { makeFile, removeDir } from './helpers'
+
+describe('FsMemo', () => {
+  let dir = null
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-memoize-'))
+  })
+
+  afterEach(() => {
+    removeDir(dir)
+  })
+
+  it('persists cells between instances', () => {
+    const file = makeFile('content')
+    file.ran = true
+    file.stat = { mode: 0o644, mtime: new Date(1000) }
+    const prevMemo = new FsMemo(dir)
+    prevMemo.set('key', [file, makeFile('other', '/some/other.txt')])
+    prevMemo.flush()
+
+    const memo = new FsMemo(dir)
+    const cell = memo.get('key')
+
+    expect(memo.size).toBe(1)
+    expect(memo.byteLength).toBe(12)
+    expect(cell).toHaveLength(2)
+    expect(String(cell[0].contents)).toBe('content')
+    expect(cell[0].relative).toBe('content.txt')
+    expect(cell[0].ran).toBe(true)
+    expect(cell[0].stat.mode).toBe(0o644)
+    expect(cell[0].stat.mtime).toEqual(new Date(1000))
+    expect(cell[1].basename).toBe('other.txt')
+  })
+
+  it('stores the identical contents once', () => {
+    const memo = new FsMemo(dir)
+    memo.set('a', [makeFile('content')])
+    memo.set('b', [makeFile('content', '/some/other.txt')])
+    const blobsDir = path.join(dir, 'blobs')
+
+    expect(fs.readdirSync(blobsDir)).toHaveLength(1)
+    expect(memo.byteLength).toBe(7)
+
+    memo.delete('a')
+    memo.flush()
+    expect(String(new FsMemo(dir).get('b')[0].contents)).toBe('content')
+
+    memo.delete('b')
+    expect(fs.readdirSync(blobsDir)).toHaveLength(0)
+  })
+
+  it('drops the corrupted entries', () => {
+    const memo = new FsMemo(dir)
+    memo.set('key', [makeFile('content')])
+
+    const blobsDir = path.join(dir, 'blobs')
+    const [blob] = fs.readdirSync(blobsDir)
+    fs.writeFileSync(path.join(blobsDir, blob), 'partial')
+
+    memo.flush()
+    expect(memo.get('key')).toBeUndefined()
+    expect(memo.has('key')).toBe(false)
+    memo.flush()
+    expect(new FsMemo(dir).size).toBe(0)
+  })
+
+  it('saves the index once per flush', () => {
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync')
+    const memo = new FsMemo(dir)
+    memo.set('a', [makeFile('a')])
+    memo.set('b', [makeFile('b')])
+    memo.delete('a')
+    const indexWrites = () =>
+      writeFileSync.mock.calls.filter(([filePath]) =>
+        filePath.includes('index.json')
+      ).length
+
+    expect(indexWrites()).toBe(0)
+    expect(new FsMemo(dir).size).toBe(0)
+
+    memo.flush()
+    memo.flush()
+    const flushWrites = indexWrites()
+    writeFileSync.mockRestore()
+
+    expect(flushWrites).toBe(1)
+    expect(new FsMemo(dir).has('b')).toBe(true)
+  })
+
+  it('starts empty on a corrupted index and removes stale blobs', () => {
+    const prevMemo = new FsMemo(dir)
+    prevMemo.set('key', [makeFile('content')])
+    prevMemo.flush()
+    fs.writeFileSync(path.join(dir, 'index.json'), '{"version":1,"entr')
+
+    const memo = new FsMemo(dir)
+
+    expect(memo.size).toBe(0)
+    expect(fs.readdirSync(path.join(dir, 'blobs'))).toHaveLength(0)
+  })
+
+  it('restores the memoized output in a fresh memo', (done) => {
+    const handler = jest.fn((file, enc, cb) => {
+      file.contents = Buffer.from(`${file.contents}-modified`)
+      cb(null, file)
+    })
+    const proxied = memoize(through.obj(handler), {
+      memo: new FsMemo(dir),
+      clearMemoOnFlush: false,
+    })
+
+    proxied.once('data', () =>
+      proxied._flush(() => {
+        const nextProxied = memoize(through.obj(handler), {
+          memo: new FsMemo(dir),
+        })
+
+        nextProxied.once('data', (file) => {
+          expect(String(file.contents)).toBe('content-modified')
+          expect(handler).toHaveBeenCalledTimes(1)
+          done()
+        })
+        nextProxied.write(makeFile('content'))
+      })
+    )
+    proxied.write(makeFile('content'))
+  })
+})
@@ -0,0 +1,48 @@
+import fs from 'fs'
+import path from 'path'
+import File from 'vinyl'
+
+/**
+ * @param {string} contents the file contents
+ * @param {string} [filePath] the file path
+ * @returns {File} the buffer-mode file
+ */
+export function makeFile(contents, filePath = `/some/${contents}.txt`) {
+  return new File({
+    cwd: '/',
+    base: '/some',
+    path: filePath,
+    contents: Buffer.from(contents),
+  })
+}
+
+/**
+ * @param {object} proxied the memoized stream
+ * @param {File[]} files the input files
+ * @returns {Promise<File[]>} the outputs
+ */
+export function run(proxied, files) {
+  return new Promise((resolve, reject) => {
+    const output = []
+    proxied
+      .on('data', (file) => output.push(file))
+      .on('error', reject)
+      .on('end', () => resolve(output))
+    files.forEach((file) => proxied.write(file))
+    proxied.end()
+  })
+}
+
+/**
+ * @param {string} dir the directory to remove with its contents
+ * @returns {void}
+ */
+export function removeDir(dir) {
+  if (!fs.existsSync(dir)) return
+  fs.readdirSync(dir).forEach((name) => {
+    const target = path.join(dir, name)
+    if (fs.statSync(target).isDirectory()) removeDir(target)
+    else fs.unlinkSync(target)
+  })
+  fs.rmdirSync(dir)
+}
@@ -0,0 +1,108 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import File from 'vinyl'
+import memoize from '../src'
+import { makeFile, removeDir } from './helpers'
+
+const CHUNK_SIZE = 65536
+
+describe('memo archive', () => {
+  let dir = null
+  let archivePath = null
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-memoize-'))
+    archivePath = path.join(dir, 'nested', 'memo.json')
+  })
+
+  afterEach(() => {
+    removeDir(dir)
+  })
+
+  it('restores the exported cells', () => {
+    const file = makeFile('content')
+    file.ran = true
+    file.stat = { mode: 0o644, mtime: new Date(1000) }
+    const memo = new Map([
+      ['a', [file, new File({ path: '/some/empty.txt' })]],
+      ['b', []],
+    ])
+
+    expect(memoize.exportMemo(memo, archivePath)).toBe(2)
+    const imported = memoize.importMemo(archivePath)
+
+    expect(imported).toBeInstanceOf(Map)
+    expect(Array.from(imported.keys())).toEqual(['a', 'b'])
+    const [restored, empty] = imported.get('a')
+    expect(String(restored.contents)).toBe('content')
+    expect(restored.relative).toBe('content.txt')
+    expect(restored.ran).toBe(true)
+    expect(restored.stat.mtime).toEqual(new Date(1000))
+    expect(empty.isNull()).toBe(true)
+    expect(imported.get('b')).toEqual([])
+  })
+
+  it('rejects the archives of other versions', () => {
+    memoize.exportMemo(new Map(), archivePath)
+    const [header] = fs.readFileSync(archivePath, 'utf8').split('\n')
+    const archive = JSON.parse(header)
+    fs.writeFileSync(archivePath, JSON.stringify({ ...archive, version: 99 }))
+
+    expect(() => memoize.importMemo(archivePath)).toThrow(
+      'unsupported version 99'
+    )
+  })
+
+  it('rejects the corrupted contents', () => {
+    memoize.exportMemo(new Map([['a', [makeFile('content')]]]), archivePath)
+    const archive = fs.readFileSync(archivePath, 'utf8')
+    const corrupted = archive.replace(
+      Buffer.from('content').toString('base64'),
+      Buffer.from('partial').toString('base64')
+    )
+    fs.writeFileSync(archivePath, corrupted)
+
+    expect(() => memoize.importMemo(archivePath)).toThrow('corrupted file')
+  })
+
+  it('rejects the truncated archives', () => {
+    fs.mkdirSync(path.dirname(archivePath))
+    fs.writeFileSync(archivePath, '{"format":"gulp-memo')
+
+    expect(() => memoize.importMemo(archivePath)).toThrow(
+      'Invalid memo archive'
+    )
+  })
+
+  it('rejects the archives cut at the line end', () => {
+    const memo = new Map([
+      ['a', [makeFile('a')]],
+      ['b', [makeFile('b')]],
+    ])
+    memoize.exportMemo(memo, archivePath)
+    const lines = fs.readFileSync(archivePath, 'utf8').split('\n')
+    fs.writeFileSync(archivePath, lines.slice(0, 2).join('\n'))
+
+    expect(() => memoize.importMemo(archivePath)).toThrow('truncated')
+  })
+
+  it('writes a line per cell', () => {
+    const memo = new Map([
+      ['a', [makeFile('a'.repeat(CHUNK_SIZE))]],
+      ['b', [makeFile('b')]],
+    ])
+    memoize.exportMemo(memo, archivePath)
+    const imported = memoize.importMemo(archivePath)
+
+    expect(fs.readFileSync(archivePath, 'utf8').split('\n')).toHaveLength(5)
+    expect(String(imported.get('a')[0].contents)).toBe('a'.repeat(CHUNK_SIZE))
+    expect(String(imported.get('b')[0].contents)).toBe('b')
+  })
+
+  it('rejects the memos, that are not iterable', () => {
+    expect(() =>
+      memoize.exportMemo(new memoize.AsyncMemo(), archivePath)
+    ).toThrow('Cannot export the memo, that is not iterable')
+  })
+})
@@ -1,12 +1,31 @@
 // import crypto from 'crypto'
+import EventEmitter from 'events'
+import fs from 'fs'
+import os from 'os'
 import path from 'path'
 import File from 'vinyl'
+import { Duplex } from 'stream'
 import through from 'through2'
+import * as streamx from 'streamx'
+import * as readableStream from 'readable-stream'
 import sinon from 'sinon'
+import PluginError from 'plugin-error'
 import memoize from '../src'
+import HashPool from '../src/hash-pool'
+import { makeFile, run } from './helpers'
 
 memoize.defaultOptions.clearMemoOnFlush = false
 
+function streamToString(file) {
+  return new Promise((resolve) => {
+    let contents = ''
+    file.contents.on('data', (chunk) => {
+      contents += chunk
+    })
+    file.contents.on('end', () => resolve(contents))
+  })
+}
+
 describe('gulp-memoize', () => {
   let sandbox = null
   let fakeFileHandler = null
@@ -71,6 +90,25 @@ describe('gulp-memoize', () => {
         })
         .end(new File({ contents: through() }))
     })
+
+    it('memoizes the buffered streams', async () => {
+      const makeStreamFile = () => {
+        const contents = through()
+        contents.end('streamed')
+        return new File({ path: '/some/path', contents })
+      }
+      const output = await run(memoize(fakeTask, { bufferStreams: true }), [
+        makeStreamFile(),
+        makeStreamFile(),
+      ])
+
+      expect(fakeFileHandler.callCount).toBe(1)
+      expect(output.map((file) => file.isStream())).toEqual([true, true])
+      expect(await Promise.all(output.map(streamToString))).toEqual([
+        'streamed-modified',
+        'streamed-modified',
+      ])
+    })
   })
 
   describe('in buffered mode', () => {
@@ -521,6 +559,1317 @@ describe('gulp-memoize', () => {
     })
   })
 
+  describe('restored properties', () => {
+    const makeDataFile = (mtime) => {
+      const file = makeFile('a')
+      file.stat = { mtime: new Date(mtime) }
+      file.data = { title: `Built at ${mtime}` }
+      return file
+    }
+
+    it('carries the stat over from the input file by default', async () => {
+      await run(memoize(fakeTask), [makeDataFile(1000)])
+      const [file] = await run(memoize(fakeTask), [makeDataFile(2000)])
+
+      expect(file.stat.mtime).toEqual(new Date(2000))
+      expect(file.data).toEqual({ title: 'Built at 1000' })
+      expect(file.ran).toBe(true)
+    })
+
+    it('restores and carries over the listed properties', async () => {
+      const opts = { restoreProps: ['ran'], carryOverProps: ['data'] }
+
+      await run(memoize(fakeTask, opts), [makeDataFile(1000)])
+      const [file] = await run(memoize(fakeTask, opts), [makeDataFile(2000)])
+
+      expect(file.stat.mtime).toEqual(new Date(1000))
+      expect(file.data).toEqual({ title: 'Built at 2000' })
+      expect(file.ran).toBe(true)
+    })
+
+    it('drops the custom properties not listed', async () => {
+      const opts = { restoreProps: [] }
+
+      await run(memoize(fakeTask, opts), [makeDataFile(1000)])
+      const [file] = await run(memoize(fakeTask, opts), [makeDataFile(2000)])
+
+      expect(file.ran).toBeUndefined()
+      expect(file.data).toBeUndefined()
+      expect(File.isVinyl(file)).toBe(true)
+    })
+  })
+
+  describe('with empty outputs', () => {
+    it('remembers the inputs dropped by the task', async () => {
+      const memo = new Map()
+      const filter = sandbox.spy((file, enc, cb) => cb())
+      const opts = { memo, verbose: true }
+
+      await run(memoize(through.obj(filter), opts), [makeFile('a')])
+      const proxied = memoize(through.obj(filter), opts)
+      const output = await run(proxied, [makeFile('a'), makeFile('b')])
+
+      expect(output).toEqual([])
+      expect(filter.callCount).toBe(2)
+      expect(memo.size).toBe(2)
+      expect(proxied.stats()).toMatchObject({ hits: 1, misses: 1 })
+    })
+  })
+
+  describe('with ttl', () => {
+    let now = null
+    beforeEach(() => {
+      now = sandbox.stub(Date, 'now').returns(0)
+    })
+
+    it('re-runs the task for the expired cells', async () => {
+      const memo = new Map()
+      const transform = sandbox.spy((file, enc, cb) => cb(null, file))
+      const opts = { memo, clearMemoOnFlush: false, ttl: 1000 }
+
+      await run(memoize(through.obj(transform), opts), [makeFile('a')])
+      await run(memoize(through.obj(transform), opts), [makeFile('a')])
+      expect(transform.callCount).toBe(1)
+
+      now.returns(1000)
+      const proxied = memoize(through.obj(transform), opts)
+      const [file] = await run(proxied, [makeFile('a')])
+      expect(transform.callCount).toBe(2)
+      expect(proxied.stats()).toMatchObject({ hits: 0, misses: 1 })
+      expect(file.memoizeExpiresAt).toBeUndefined()
+    })
+
+    it('takes the lifetime of each cell from the callback', async () => {
+      const memo = new Map()
+      const ttl = (file) => (file.extname === '.css' ? 1000 : Infinity)
+      const opts = { memo, clearMemoOnFlush: false, ttl }
+      const files = () => [makeFile('a', '/a.css'), makeFile('b', '/b.js')]
+      const task = () => through.obj((file, enc, cb) => cb(null, file))
+
+      await run(memoize(task(), opts), files())
+      now.returns(1000)
+      await run(memoize(task(), opts), [])
+
+      expect(memo.size).toBe(1)
+      const proxied = memoize(task(), opts)
+      await run(proxied, files())
+      expect(proxied.stats()).toMatchObject({ hits: 1, misses: 1 })
+    })
+
+    it('does not look for the expired cells without ttl', async () => {
+      const memo = new Map()
+      const entries = sandbox.spy(memo, 'entries')
+      const opts = { memo, clearMemoOnFlush: false, ttl: Infinity }
+
+      await run(memoize(fakeTask, opts), [makeFile('a')])
+
+      expect(entries.callCount).toBe(0)
+    })
+  })
+
+  describe('with workers', () => {
+    it('hashes the large contents in the worker threads', async () => {
+      const memo = new Map()
+      const transform = sandbox.spy((file, enc, cb) => cb(null, file))
+      const files = () => [makeFile('a'.repeat(64)), makeFile('b')]
+      const opts = { memo, clearMemoOnFlush: false, workerThreshold: 64 }
+      const poolHash = sandbox.spy(HashPool.prototype, 'hash')
+
+      await run(
+        memoize(through.obj(transform), { ...opts, workers: 2 }),
+        files()
+      )
+      const proxied = memoize(through.obj(transform), opts)
+      await run(proxied, files())
+
+      expect(transform.callCount).toBe(2)
+      expect(proxied.stats()).toMatchObject({ hits: 2, misses: 0 })
+      expect(poolHash.callCount).toBe(1)
+    })
+  })
+
+  describe('with shouldMemoize', () => {
+    it('passes the rejected files to the task unmemoized', async () => {
+      const memo = new Map()
+      const shouldMemoize = (file) => file.contents.length > 1
+      const opts = { memo, clearMemoOnFlush: false, shouldMemoize }
+      const files = () => [makeFile('a'), makeFile('bb')]
+
+      await run(memoize(through.obj(fakeFileHandler), opts), files())
+      const output = await run(
+        memoize(through.obj(fakeFileHandler), opts),
+        files()
+      )
+
+      expect(memo.size).toBe(1)
+      expect(fakeFileHandler.callCount).toBe(3)
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'a-modified',
+        'bb-modified',
+      ])
+    })
+
+    it('emits the error of the callback', async () => {
+      const shouldMemoize = () => Promise.reject(new Error('No stat'))
+      const proxied = memoize(through.obj(fakeFileHandler), { shouldMemoize })
+      const err = await run(proxied, [makeFile('a')]).catch((e) => e)
+
+      expect(err.message).toBe('No stat')
+      expect(fakeFileHandler.callCount).toBe(0)
+    })
+  })
+
+  describe('with refresh', () => {
+    afterEach(() => {
+      delete process.env.GULP_MEMOIZE_REFRESH
+    })
+
+    it('ignores the hits and overwrites the cells', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false }
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+
+      const refreshed = memoize(through.obj(fakeFileHandler), {
+        ...opts,
+        refresh: true,
+      })
+      await run(refreshed, [makeFile('a'), makeFile('a', '/some/b.txt')])
+
+      expect(fakeFileHandler.callCount).toBe(2)
+      expect(refreshed.stats()).toMatchObject({ hits: 1, misses: 1 })
+      expect(memo.size).toBe(1)
+      expect(Array.from(memo.values())[0]).toHaveLength(1)
+    })
+
+    it('is enabled by the environment variable', async () => {
+      process.env.GULP_MEMOIZE_REFRESH = '1'
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false }
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+
+      expect(fakeFileHandler.callCount).toBe(2)
+    })
+  })
+
+  describe('with compress', () => {
+    const svg = `<svg>${'<path d="M0 0h24v24H0z"/>'.repeat(100)}</svg>`
+    const codecs = [true, 'brotli']
+
+    codecs.forEach((compress) => {
+      it(`stores the large contents compressed with ${compress}`, async () => {
+        const memo = new Map()
+        const opts = { memo, clearMemoOnFlush: false, compress }
+        const files = () => [makeFile(svg, '/some/icon.svg'), makeFile('a')]
+
+        await run(memoize(through.obj(fakeFileHandler), opts), files())
+        const [large, small] = Array.from(memo.values()).map(([file]) => file)
+        expect(large.contents.length).toBeLessThan(svg.length)
+        expect(large.memoizeCompressed.size).toBe(svg.length + 9)
+        expect(small.memoizeCompressed).toBeUndefined()
+
+        const output = await run(
+          memoize(through.obj(fakeFileHandler), opts),
+          files()
+        )
+        expect(fakeFileHandler.callCount).toBe(2)
+        expect(String(output[0].contents)).toBe(`${svg}-modified`)
+        expect(output[0].memoizeCompressed).toBeUndefined()
+      })
+    })
+
+    it('rejects the unknown codecs', () => {
+      expect(() => memoize(fakeTask, { compress: 'lzma' })).toThrow(
+        'Unknown codec: lzma'
+      )
+    })
+  })
+
+  describe('with verify', () => {
+    let counter = 0
+    const flaky = () =>
+      through.obj((file, enc, cb) => {
+        counter++
+        file.contents = Buffer.from(`${file.contents}-${counter}`)
+        cb(null, file)
+      })
+
+    beforeEach(() => {
+      counter = 0
+    })
+
+    it('reports the hits, that differ from the task output', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false, verify: true }
+      await run(memoize(flaky(), opts), [makeFile('a')])
+
+      const proxied = memoize(flaky(), opts)
+      const mismatches = []
+      proxied.on('mismatch', (file, diff) => mismatches.push(diff))
+      const [file] = await run(proxied, [makeFile('a')])
+
+      expect(String(file.contents)).toBe('a-1')
+      expect(proxied.stats()).toMatchObject({ verified: 1, mismatches: 1 })
+      expect(mismatches).toHaveLength(1)
+      expect(mismatches[0]).toEqual([
+        expect.stringMatching(
+          /a\.txt: contents differ \(3 B memoized, 3 B produced\)$/
+        ),
+      ])
+    })
+
+    it('fails on the mismatch in the fail mode', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false }
+      await run(memoize(flaky(), opts), [makeFile('a')])
+
+      const proxied = memoize(flaky(), {
+        ...opts,
+        verify: 1,
+        verifyMode: 'fail',
+      })
+      const err = await run(proxied, [makeFile('a')]).catch((e) => e)
+
+      expect(err.message).toMatch('a.txt differs from the memoized one')
+      expect(err.message).toMatch('a.txt: contents differ')
+    })
+
+    it('passes the deterministic outputs', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false, verify: true }
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+
+      const proxied = memoize(through.obj(fakeFileHandler), opts)
+      await run(proxied, [makeFile('a')])
+
+      expect(proxied.stats()).toMatchObject({ verified: 1, mismatches: 0 })
+    })
+
+    it('passes the same contents at another path', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false, verify: true }
+      const rename = () =>
+        through.obj((file, enc, cb) => {
+          file.extname = '.css'
+          cb(null, file)
+        })
+      await run(memoize(rename(), opts), [makeFile('a', '/some/a.txt')])
+
+      const proxied = memoize(rename(), opts)
+      await run(proxied, [makeFile('a', '/other/b.txt')])
+
+      expect(proxied.stats()).toMatchObject({ verified: 1, mismatches: 0 })
+    })
+  })
+
+  describe('with reporter', () => {
+    it('passes the events to the reporter function', async () => {
+      const events = []
+      const opts = {
+        memo: new Map(),
+        namespace: 'images',
+        reporter: (event) => events.push(event),
+      }
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+
+      expect(events.map((event) => event.type)).toEqual([
+        'remember',
+        'total',
+        'restore',
+        'total',
+      ])
+      expect(events[0]).toMatchObject({
+        level: 'debug',
+        namespace: 'images',
+        file: expect.stringMatching(/a\.txt$/),
+        bytes: 10,
+      })
+      expect(events[3]).toMatchObject({ level: 'info', restored: 1 })
+    })
+
+    it('calls the method named after the event type', async () => {
+      const reporter = { total: sandbox.spy(), report: sandbox.spy() }
+      await run(memoize(through.obj(fakeFileHandler), { reporter }), [
+        makeFile('a'),
+      ])
+
+      expect(reporter.total.calledOnce).toBe(true)
+      expect(reporter.report.calledOnce).toBe(true)
+      expect(reporter.report.firstCall.args[0].type).toBe('remember')
+    })
+
+    it('filters the events by logLevel', async () => {
+      const events = []
+      await run(
+        memoize(through.obj(fakeFileHandler), {
+          reporter: (event) => events.push(event.type),
+          logLevel: 'info',
+        }),
+        [makeFile('a')]
+      )
+
+      expect(events).toEqual(['total'])
+    })
+
+    it('writes the JSON lines to the file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-memoize-'))
+      const logPath = path.join(dir, 'logs', 'memo.jsonl')
+      await run(
+        memoize(through.obj(fakeFileHandler), {
+          reporter: memoize.reporters.jsonLines(logPath),
+        }),
+        [makeFile('a')]
+      )
+
+      const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n')
+      fs.unlinkSync(logPath)
+      fs.rmdirSync(path.dirname(logPath))
+      fs.rmdirSync(dir)
+
+      expect(lines.map((line) => JSON.parse(line).type)).toEqual([
+        'remember',
+        'total',
+      ])
+    })
+
+    it('throws on the unknown reporter', () => {
+      expect(() => memoize(through.obj(), { reporter: 'fancy' })).toThrow(
+        'Unknown reporter: fancy'
+      )
+      expect(() => memoize(through.obj(), { logLevel: 'trace' })).toThrow(
+        'Unknown log level: trace'
+      )
+    })
+  })
+
+  describe('with memoizeErrors', () => {
+    const makeLinter = (handler) =>
+      through.obj((file, enc, cb) => {
+        handler()
+        if (String(file.contents).includes('var')) {
+          const fileName = file.path
+          cb(new PluginError('gulp-lint', 'Unexpected var', { fileName }))
+          return
+        }
+        cb(null, file)
+      })
+
+    const lint = (handler, file) =>
+      new Promise((resolve) => {
+        memoize(makeLinter(handler), { memoizeErrors: true })
+          .on('error', resolve)
+          .on('finish', () => resolve(null))
+          .end(file)
+      })
+
+    it('replays the errors for the unchanged inputs', async () => {
+      const handler = sandbox.spy()
+      const errors = [
+        await lint(handler, makeFile('var a', '/src/a.js')),
+        await lint(handler, makeFile('var a', '/src/a.js')),
+      ]
+
+      expect(handler.callCount).toBe(1)
+      errors.forEach((err) => {
+        expect(err.message).toBe('Unexpected var')
+        expect(err.fileName).toBe('/src/a.js')
+      })
+
+      expect(await lint(handler, makeFile('let a', '/src/a.js'))).toBe(null)
+      expect(handler.callCount).toBe(2)
+    })
+    it('keeps the error to the failed input', async () => {
+      const handler = sandbox.spy()
+      const proxied = memoize(makeLinter(handler), { memoizeErrors: true })
+      const errors = []
+      proxied.on('error', (err) => errors.push(err))
+      proxied.write(makeFile('let good', '/src/good.js'))
+      proxied.write(makeFile('var bad', '/src/bad.js'))
+      await new Promise((resolve) => setImmediate(resolve))
+
+      expect(errors.map((err) => err.fileName)).toEqual(['/src/bad.js'])
+      expect(await lint(handler, makeFile('let good', '/src/good.js'))).toBe(
+        null
+      )
+      expect(handler.callCount).toBe(2)
+    })
+
+    it('emits the error once with preserveOrder', async () => {
+      const proxied = memoize(makeLinter(sandbox.spy()), {
+        memoizeErrors: true,
+        preserveOrder: true,
+      })
+      const errors = []
+      proxied.on('error', (err) => errors.push(err))
+      proxied.write(makeFile('let one', '/src/one.js'))
+      proxied.write(makeFile('let two', '/src/two.js'))
+      proxied.write(makeFile('var three', '/src/three.js'))
+      await new Promise((resolve) => setImmediate(resolve))
+
+      expect(errors.map((err) => err.fileName)).toEqual(['/src/three.js'])
+    })
+
+    it('remembers the error emitted by the task', async () => {
+      const handler = sandbox.spy()
+      const emitter = () =>
+        through.obj(function (file, enc, cb) {
+          handler()
+          const fileName = file.path
+          this.emit(
+            'error',
+            new PluginError('gulp-lint', 'Failed', { fileName })
+          )
+          cb()
+        })
+      const opts = { memo: new Map(), memoizeErrors: true }
+      const errors = []
+      for (let i = 0; i < 2; i++) {
+        const err = await run(memoize(emitter(), opts), [
+          makeFile('let a', '/src/a.js'),
+        ]).catch((e) => e)
+        errors.push(err)
+      }
+
+      expect(handler.callCount).toBe(1)
+      expect(errors.map((err) => err.fileName)).toEqual([
+        '/src/a.js',
+        '/src/a.js',
+      ])
+    })
+  })
+
+  describe('invalidation', () => {
+    it('forgets the cells by the input path or glob', async () => {
+      const memo = new Map()
+      const files = () => [
+        makeFile('a', path.resolve('src/a.png')),
+        makeFile('b', path.resolve('src/nested/b.png')),
+        makeFile('c', path.resolve('src/c.svg')),
+      ]
+
+      await run(memoize(fakeTask, { memo }), files())
+
+      expect(memoize.forget('src/a.png', memo)).toBe(1)
+      expect(memoize.forget('src/**/*.png', memo)).toBe(1)
+      expect(memo.size).toBe(1)
+
+      await run(memoize(fakeTask, { memo }), files())
+
+      expect(fakeFileHandler.callCount).toBe(5)
+    })
+
+    it('invalidates the cell by the key', async () => {
+      const proxied = memoize(fakeTask)
+      let memoKey = null
+
+      proxied.on('hit', (file, key) => {
+        memoKey = key
+      })
+      await run(proxied, [makeFile('a'), makeFile('a')])
+
+      expect(proxied.invalidate(memoKey)).toBe(true)
+      expect(proxied.invalidate(memoKey)).toBe(false)
+
+      await run(memoize(fakeTask), [makeFile('a')])
+
+      expect(fakeFileHandler.callCount).toBe(2)
+    })
+
+    it('forgets the changed and removed files of the watcher', async () => {
+      const watcher = new EventEmitter()
+      const memo = new Map()
+      const filePath = path.resolve('src/a.png')
+
+      memoize.bindWatcher(watcher, memo)
+      await run(memoize(fakeTask, { memo }), [makeFile('a', filePath)])
+      watcher.emit('unlink', 'src/a.png')
+
+      expect(memo.size).toBe(0)
+    })
+  })
+
+  describe('key strategies', () => {
+    const makeStatFile = (contents, mtime) => {
+      const file = makeFile(contents, '/some/video.mp4')
+      file.stat = { size: 100, mtime: new Date(mtime) }
+      return file
+    }
+
+    it('keys off the file stat', async () => {
+      const opts = { key: 'stat', algorithm: 'sha256' }
+
+      await run(memoize(fakeTask, opts), [makeStatFile('a', 1000)])
+      await run(memoize(fakeTask, opts), [makeStatFile('b', 1000)])
+      await run(memoize(fakeTask, opts), [makeStatFile('a', 2000)])
+
+      expect(fakeFileHandler.callCount).toBe(2)
+    })
+
+    it('mixes the strategies per file type', async () => {
+      const key = (file) =>
+        file.extname === '.mp4'
+          ? memoize.strategies.stat(file)
+          : memoize.strategies.contents(file)
+
+      await run(memoize(fakeTask, { key }), [
+        makeStatFile('a', 1000),
+        makeFile('a'),
+      ])
+      await run(memoize(fakeTask, { key }), [
+        makeStatFile('b', 1000),
+        makeFile('b'),
+      ])
+
+      expect(fakeFileHandler.callCount).toBe(3)
+    })
+
+    it('throws on an unknown strategy', () => {
+      expect(() => memoize(fakeTask, { key: 'mtime' })).toThrow(
+        'Unknown key: mtime'
+      )
+    })
+  })
+
+  describe('key builders', () => {
+    const { keys } = memoize
+
+    it('combines the parts regardless of their order', () => {
+      const file = makeFile('a')
+      const first = keys.combine(keys.contents(), keys.options({ a: 1, b: 2 }))
+      const second = keys.combine(keys.options({ b: 2, a: 1 }), keys.contents())
+
+      expect(first(file)).toBe(second(file))
+      expect(first(file)).not.toBe(first(makeFile('b')))
+    })
+
+    it('keeps the parts apart', () => {
+      const key = keys.combine(keys.path(), keys.contents())
+
+      expect(key(makeFile('a', '/some/b.txt'))).not.toBe(
+        key(makeFile('b', '/some/a.txt'))
+      )
+    })
+
+    it('keys off the environment variables', () => {
+      const key = keys.env(['MEMOIZE_TEST_B', 'MEMOIZE_TEST_A'])
+      const before = key(makeFile('a'))
+      process.env.MEMOIZE_TEST_A = 'production'
+      const after = key(makeFile('a'))
+      delete process.env.MEMOIZE_TEST_A
+
+      expect(after).not.toBe(before)
+    })
+
+    it('waits for the async parts', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-memoize-'))
+      const packageDir = path.join(dir, 'node_modules', 'fake-plugin')
+      fs.mkdirSync(path.join(dir, 'node_modules'))
+      fs.mkdirSync(packageDir)
+      const writeVersion = (version) =>
+        fs.writeFileSync(
+          path.join(packageDir, 'package.json'),
+          JSON.stringify({ version })
+        )
+      sandbox.stub(process, 'cwd').returns(path.join(dir, 'src'))
+      const opts = () => ({
+        key: keys.combine(
+          keys.contents(),
+          keys.packageVersion('fake-plugin'),
+          async (file) => file.extname
+        ),
+      })
+
+      writeVersion('1.0.0')
+      await run(memoize(fakeTask, opts()), [makeFile('a')])
+      await run(memoize(fakeTask, opts()), [makeFile('a')])
+      writeVersion('2.0.0')
+      await run(memoize(fakeTask, opts()), [makeFile('a')])
+
+      fs.unlinkSync(path.join(packageDir, 'package.json'))
+      fs.rmdirSync(packageDir)
+      fs.rmdirSync(path.join(dir, 'node_modules'))
+      fs.rmdirSync(dir)
+
+      expect(fakeFileHandler.callCount).toBe(2)
+    })
+
+    it('emits an error for the missing package', async () => {
+      const key = keys.combine(keys.packageVersion('no-such-gulp-plugin'))
+      const err = await run(memoize(fakeTask, { key }), [makeFile('a')]).catch(
+        (e) => e
+      )
+
+      expect(err.message).toBe('Package not found: no-such-gulp-plugin')
+    })
+    it('does not memoize the files with an empty part', async () => {
+      const memo = new Map()
+      const key = keys.combine(keys.contents(), () => null)
+      const files = () => [makeFile('a'), makeFile('b'), makeFile('c')]
+
+      const output = await run(memoize(fakeTask, { memo, key }), files())
+      await run(memoize(fakeTask, { memo, key }), files())
+
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'a-modified',
+        'b-modified',
+        'c-modified',
+      ])
+      expect(fakeFileHandler.callCount).toBe(6)
+      expect(memo.size).toBe(0)
+    })
+
+    it('does not memoize the aggregate with an empty key', async () => {
+      const memo = new Map()
+      const opts = { memo, aggregate: true, key: () => null }
+
+      await run(memoize(through.obj(fakeFileHandler), opts), [makeFile('a')])
+      const output = await run(memoize(through.obj(fakeFileHandler), opts), [
+        makeFile('a'),
+      ])
+
+      expect(String(output[0].contents)).toBe('a-modified')
+      expect(fakeFileHandler.callCount).toBe(2)
+      expect(memo.size).toBe(0)
+    })
+  })
+
+  describe('namespaces', () => {
+    const compress = (options) =>
+      through.obj((file, enc, cb) => {
+        file.contents = Buffer.from(`${file.contents}-q${options.quality}`)
+        cb(null, file)
+      })
+    const namespace = (options) => ({ name: 'fake-imagemin', options })
+
+    it('separates the same plugin with the other options', async () => {
+      const q80 = { quality: 80 }
+      const q60 = { quality: 60 }
+
+      await run(memoize(compress(q80), { namespace: namespace(q80) }), [
+        makeFile('a'),
+      ])
+      const [file] = await run(
+        memoize(compress(q60), { namespace: namespace(q60) }),
+        [makeFile('a')]
+      )
+      const [restored] = await run(
+        memoize(compress(q80), { namespace: namespace({ quality: 80 }) }),
+        [makeFile('a')]
+      )
+
+      expect(String(file.contents)).toBe('a-q60')
+      expect(String(restored.contents)).toBe('a-q80')
+    })
+
+    it('shares the default scope without the namespace', async () => {
+      const memo = new Map()
+      await run(memoize(through.obj(fakeFileHandler), { memo }), [
+        makeFile('a'),
+      ])
+      await run(memoize(through.obj(fakeFileHandler), { memo }), [
+        makeFile('a'),
+      ])
+
+      expect(fakeFileHandler.callCount).toBe(1)
+      expect(Array.from(memo.keys())).toEqual([
+        expect.stringMatching(/^default:/),
+      ])
+    })
+
+    it('takes the namespace from the plugin', async () => {
+      const memo = new Map()
+      const plugin = () => {
+        const task = through.obj(fakeFileHandler)
+        task.cacheable = { namespace: namespace({ quality: 80 }) }
+        return task
+      }
+      await run(memoize(plugin(), { memo }), [makeFile('a')])
+      await run(memoize(plugin(), { memo }), [makeFile('a')])
+      await run(memoize(through.obj(fakeFileHandler), { memo }), [
+        makeFile('a'),
+      ])
+
+      expect(fakeFileHandler.callCount).toBe(2)
+      expect(memo.size).toBe(2)
+    })
+
+    it('scopes the keys by the installed plugin version', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-memoize-'))
+      const packageDir = path.join(dir, 'node_modules', 'fake-imagemin')
+      fs.mkdirSync(path.join(dir, 'node_modules'))
+      fs.mkdirSync(packageDir)
+      const writeVersion = (version) =>
+        fs.writeFileSync(
+          path.join(packageDir, 'package.json'),
+          JSON.stringify({ version })
+        )
+      sandbox.stub(process, 'cwd').returns(dir)
+      const opts = { namespace: namespace({ quality: 80 }) }
+
+      writeVersion('1.0.0')
+      await run(memoize(fakeTask, opts), [makeFile('a')])
+      await run(memoize(fakeTask, opts), [makeFile('a')])
+      writeVersion('2.0.0')
+      await run(memoize(fakeTask, opts), [makeFile('a')])
+
+      fs.unlinkSync(path.join(packageDir, 'package.json'))
+      fs.rmdirSync(packageDir)
+      fs.rmdirSync(path.join(dir, 'node_modules'))
+      fs.rmdirSync(dir)
+
+      expect(fakeFileHandler.callCount).toBe(2)
+    })
+
+    it('clears the default memo selectively', async () => {
+      const webp = { name: 'webp', options: { quality: 80 } }
+
+      await run(memoize(fakeTask, { namespace: 'imagemin' }), [makeFile('a')])
+      await run(memoize(fakeTask, { namespace: webp }), [makeFile('a')])
+
+      memoize.clearDefaultMemo({ options: { quality: 80 }, name: 'webp' })
+      await run(memoize(fakeTask, { namespace: 'imagemin' }), [makeFile('a')])
+      await run(memoize(fakeTask, { namespace: webp }), [makeFile('a')])
+
+      expect(fakeFileHandler.callCount).toBe(3)
+    })
+  })
+
+  describe('with preserveOrder', () => {
+    it('emits the outputs in the input order', async () => {
+      const memo = new Map()
+      const events = []
+
+      fakeTask = through.obj((file, enc, cb) => {
+        setTimeout(() => fakeFileHandler(file, enc, cb), 20)
+      })
+      await run(memoize(fakeTask, { memo }), [makeFile('b')])
+
+      const proxied = memoize(fakeTask, { memo, preserveOrder: true })
+      proxied.on('hit', (file) => events.push(`hit ${file.basename}`))
+      proxied.on('data', (file) => events.push(`data ${file.basename}`))
+      const output = await run(proxied, [
+        makeFile('a'),
+        makeFile('b'),
+        makeFile('c'),
+      ])
+
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'a-modified',
+        'b-modified',
+        'c-modified',
+      ])
+      // The hit is not waiting for the previous miss
+      expect(events).toEqual([
+        'hit b.txt',
+        'data a.txt',
+        'data b.txt',
+        'data c.txt',
+      ])
+    })
+
+    it('does not wait for the miss to write the next input', async () => {
+      const writesInProgress = []
+      let writes = 0
+      fakeTask = through.obj((file, enc, cb) => {
+        writesInProgress.push(writes)
+        setTimeout(() => fakeFileHandler(file, enc, cb), 20)
+      })
+      const { write } = fakeTask
+      fakeTask.write = (...args) => {
+        writes++
+        return Reflect.apply(write, fakeTask, args)
+      }
+
+      const output = await run(memoize(fakeTask, { preserveOrder: true }), [
+        makeFile('a'),
+        makeFile('b'),
+        makeFile('c'),
+      ])
+
+      expect(output.map((file) => file.basename)).toEqual([
+        'a.txt',
+        'b.txt',
+        'c.txt',
+      ])
+      expect(writesInProgress[1]).toBe(3)
+    })
+
+    it('limits the count of the inputs in progress', async () => {
+      let misses = 0
+      let maxPending = 0
+      fakeTask = through.obj((file, enc, cb) => {
+        setTimeout(() => fakeFileHandler(file, enc, cb), 1)
+      })
+      const proxied = memoize(fakeTask, { preserveOrder: true })
+      proxied.on('miss', () => {
+        misses++
+        maxPending = Math.max(maxPending, misses - output.length)
+      })
+      const files = Array.from({ length: 40 }, (_, i) => makeFile(`${i}`))
+      const output = []
+      proxied.on('data', (file) => output.push(file))
+
+      await run(proxied, files)
+
+      expect(output).toHaveLength(40)
+      expect(maxPending).toBeGreaterThan(1)
+      expect(maxPending).toBeLessThanOrEqual(proxied.writableHighWaterMark)
+    })
+  })
+
+  describe('statistics', () => {
+    it('emits the lifecycle events and collects the stats', async () => {
+      const memo = new Map()
+      const proxied = memoize(fakeTask, { memo })
+      const events = []
+      let summary = null
+
+      proxied
+        .on('hit', (file) => events.push(`hit ${file.basename}`))
+        .on('miss', (file) => events.push(`miss ${file.basename}`))
+        .on('remember', (file) => events.push(`remember ${file.basename}`))
+        .on('summary', (stats) => {
+          summary = stats
+        })
+
+      await run(proxied, [makeFile('a'), makeFile('a', '/some/b.txt')])
+
+      expect(events).toEqual(['miss a.txt', 'remember a.txt', 'hit b.txt'])
+      expect(summary).toEqual(proxied.stats())
+      expect(summary).toMatchObject({
+        hits: 1,
+        misses: 1,
+        bytesStored: 10,
+        bytesRestored: 10,
+      })
+      expect(summary.taskTime).toBeGreaterThanOrEqual(0)
+      expect(summary.timeSaved).toBeGreaterThanOrEqual(0)
+    })
+  })
+
+  describe('in aggregate mode', () => {
+    let concatFlush = null
+
+    beforeEach(() => {
+      const contents = []
+      concatFlush = sandbox.spy(function (cb) {
+        this.push(
+          new File({
+            path: '/some/bundle.txt',
+            contents: Buffer.from(contents.splice(0).join(',')),
+          })
+        )
+        cb()
+      })
+      fakeTask = through.obj((file, enc, cb) => {
+        contents.push(String(file.contents))
+        cb()
+      }, concatFlush)
+    })
+
+    it('memoizes the output produced in the flush', async () => {
+      const memo = new Map()
+      const opts = { memo, aggregate: true }
+
+      const output = await run(memoize(fakeTask, opts), [
+        makeFile('a'),
+        makeFile('b'),
+      ])
+      const restored = await run(memoize(fakeTask, opts), [
+        makeFile('a'),
+        makeFile('b'),
+      ])
+
+      expect(concatFlush.callCount).toBe(1)
+      expect(memo.size).toBe(1)
+      expect(output.map((file) => String(file.contents))).toEqual(['a,b'])
+      expect(restored.map((file) => String(file.contents))).toEqual(['a,b'])
+      expect(restored[0].path).toBe('/some/bundle.txt')
+    })
+
+    it('runs the task when the input set changes', async () => {
+      const opts = { memo: new Map(), aggregate: true }
+
+      await run(memoize(fakeTask, opts), [makeFile('a'), makeFile('b')])
+      const output = await run(memoize(fakeTask, opts), [
+        makeFile('a'),
+        makeFile('c'),
+      ])
+
+      expect(concatFlush.callCount).toBe(2)
+      expect(output.map((file) => String(file.contents))).toEqual(['a,c'])
+    })
+  })
+
+  describe('with dependencies', () => {
+    let dir = null
+    let partialPath = null
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-memoize-'))
+      partialPath = path.join(dir, '_partial.scss')
+      fs.writeFileSync(partialPath, 'a')
+    })
+
+    afterEach(() => {
+      fs.unlinkSync(partialPath)
+      fs.rmdirSync(dir)
+    })
+
+    it('invalidates the dependent cells on a dependency change', async () => {
+      const memo = new Map()
+      const dependencies = sandbox.spy(() => Promise.resolve([partialPath]))
+      const opts = { memo, dependencies }
+
+      await run(memoize(fakeTask, opts), [makeFile('main')])
+      await run(memoize(fakeTask, opts), [makeFile('main')])
+
+      expect(fakeFileHandler.callCount).toBe(1)
+
+      fs.writeFileSync(partialPath, 'b')
+      await run(memoize(fakeTask, opts), [makeFile('main')])
+
+      expect(fakeFileHandler.callCount).toBe(2)
+      expect(dependencies.callCount).toBe(3)
+      expect(memo.size).toBe(1)
+    })
+  })
+
+  describe('pipeline', () => {
+    let calls = null
+    function compile(file, enc, cb) {
+      calls.push('compile')
+      file.contents = Buffer.from(`compiled(${file.contents})`)
+      cb(null, file)
+    }
+    function minify(file, enc, cb) {
+      calls.push('minify')
+      const minified = file.clone()
+      minified.extname = '.min.css'
+      minified.contents = Buffer.from(`min(${file.contents})`)
+      cb(null, minified)
+    }
+
+    beforeEach(() => {
+      calls = []
+    })
+
+    const stages = () => [through.obj(compile), through.obj(minify)]
+
+    it('remembers the final outputs of the chain', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false }
+
+      await run(memoize.pipeline(stages(), opts), [makeFile('a')])
+      const output = await run(memoize.pipeline(stages, opts), [makeFile('a')])
+
+      expect(calls).toEqual(['compile', 'minify'])
+      expect(String(output[0].contents)).toBe('min(compiled(a))')
+    })
+
+    it('passes the flushed outputs through the rest of the chain', async () => {
+      const contents = []
+      const concat = through.obj(
+        (file, enc, cb) => {
+          contents.push(String(file.contents))
+          cb()
+        },
+        function (cb) {
+          this.push(makeFile(contents.join(','), '/some/bundle.txt'))
+          cb()
+        }
+      )
+      const proxied = memoize.pipeline([concat, through.obj(compile)], {
+        aggregate: true,
+      })
+
+      const output = await run(proxied, [makeFile('a'), makeFile('b')])
+
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'compiled(a,b)',
+      ])
+    })
+
+    // Like lazypipe, that pipes the new stages on every call
+    const combined = () =>
+      readableStream.compose(
+        new readableStream.Transform({ objectMode: true, transform: compile }),
+        new readableStream.Transform({
+          objectMode: true,
+          transform(file, enc, cb) {
+            setTimeout(() => minify(file, enc, cb))
+          },
+        })
+      )
+
+    it('remembers the outputs of the combined stream', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false }
+      const output = await run(memoize.pipeline(combined, opts), [
+        makeFile('a'),
+        makeFile('b'),
+      ])
+      const restored = await run(memoize.pipeline(combined, opts), [
+        makeFile('a'),
+        makeFile('b'),
+      ])
+
+      expect(calls).toEqual(['compile', 'minify', 'compile', 'minify'])
+      expect(memo.size).toBe(2)
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'min(compiled(a))',
+        'min(compiled(b))',
+      ])
+      expect(restored.map((file) => String(file.contents))).toEqual([
+        'min(compiled(a))',
+        'min(compiled(b))',
+      ])
+    })
+
+    it('keeps the late outputs of the single combined stream', async () => {
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false }
+
+      const output = await run(memoize.pipeline([combined()], opts), [
+        makeFile('a'),
+        makeFile('b'),
+      ])
+
+      expect(memo.size).toBe(0)
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'min(compiled(a))',
+        'min(compiled(b))',
+      ])
+    })
+
+    it('does not remember the input, if a stage pushes after the callback', async () => {
+      const reporter = sandbox.spy()
+      const memo = new Map()
+      const opts = { memo, clearMemoOnFlush: false, reporter }
+      const stagesOfLate = () => [
+        through.obj(function (file, enc, cb) {
+          cb()
+          setImmediate(() => this.push(file))
+        }),
+        through.obj(minify),
+      ]
+
+      const output = await run(memoize.pipeline(stagesOfLate(), opts), [
+        makeFile('a'),
+      ])
+      const rerun = await run(memoize.pipeline(stagesOfLate(), opts), [
+        makeFile('a'),
+      ])
+
+      expect(calls).toEqual(['minify', 'minify'])
+      expect(memo.size).toBe(0)
+      expect(output.map((file) => String(file.contents))).toEqual(['min(a)'])
+      expect(rerun.map((file) => String(file.contents))).toEqual(['min(a)'])
+      expect(reporter.calledWithMatch({ type: 'late', level: 'warn' })).toBe(
+        true
+      )
+    })
+
+    it('rejects the non-transform stages', () => {
+      expect(() => memoize.pipeline([new EventEmitter()])).toThrow(
+        'Pipeline stages must be transform streams'
+      )
+    })
+  })
+
+  describe('stream implementations', () => {
+    const modify = (file) => {
+      file.contents = Buffer.from(`${file.contents}-modified`)
+      return file
+    }
+    const tasks = {
+      'streamx transform': (handler) =>
+        new streamx.Transform({
+          transform(file, cb) {
+            handler()
+            cb(null, modify(file))
+          },
+        }),
+      'readable-stream v4 transform': (handler) =>
+        new readableStream.Transform({
+          objectMode: true,
+          transform(file, enc, cb) {
+            handler()
+            cb(null, modify(file))
+          },
+        }),
+      'plain duplex': (handler) =>
+        new Duplex({
+          objectMode: true,
+          read() {},
+          write(file, enc, cb) {
+            handler()
+            this.push(modify(file))
+            cb()
+          },
+        }),
+      'streamx duplex': (handler) =>
+        new streamx.Duplex({
+          write(file, cb) {
+            handler()
+            setTimeout(() => {
+              this.push(modify(file))
+              cb()
+            })
+          },
+        }),
+    }
+
+    Object.keys(tasks).forEach((name) => {
+      it(`memoizes the ${name}`, async () => {
+        const handler = sandbox.spy()
+        const opts = { memo: new Map(), namespace: name }
+
+        const output = await run(memoize(tasks[name](handler), opts), [
+          makeFile('a'),
+          makeFile('b'),
+        ])
+        const restored = await run(memoize(tasks[name](handler), opts), [
+          makeFile('a'),
+          makeFile('b'),
+        ])
+
+        expect(handler.callCount).toBe(2)
+        expect(output.map((file) => String(file.contents)).sort()).toEqual([
+          'a-modified',
+          'b-modified',
+        ])
+        expect(restored.map((file) => String(file.contents)).sort()).toEqual([
+          'a-modified',
+          'b-modified',
+        ])
+      })
+    })
+
+    it('memoizes the output of the streamx flush', async () => {
+      const flush = sandbox.spy()
+      const task = () => {
+        const contents = []
+        return new streamx.Transform({
+          transform(file, cb) {
+            contents.push(String(file.contents))
+            cb()
+          },
+          flush(cb) {
+            flush()
+            cb(
+              null,
+              new File({
+                path: '/some/bundle.txt',
+                contents: Buffer.from(contents.join(',')),
+              })
+            )
+          },
+        })
+      }
+      const opts = { memo: new Map(), aggregate: true }
+
+      await run(memoize(task(), opts), [makeFile('a'), makeFile('b')])
+      const restored = await run(memoize(task(), opts), [
+        makeFile('a'),
+        makeFile('b'),
+      ])
+
+      expect(flush.callCount).toBe(1)
+      expect(restored.map((file) => String(file.contents))).toEqual(['a,b'])
+    })
+
+    it('runs the streamx stages in the pipeline', async () => {
+      const stage = (suffix) =>
+        new streamx.Transform({
+          transform(file, cb) {
+            file.contents = Buffer.from(`${file.contents}-${suffix}`)
+            cb(null, file)
+          },
+        })
+      const [file] = await run(
+        memoize.pipeline(() => [stage('x'), through.obj(fakeFileHandler)]),
+        [makeFile('a')]
+      )
+
+      expect(String(file.contents)).toBe('a-x-modified')
+    })
+
+    it('rejects the non-stream tasks', () => {
+      expect(() => memoize(new EventEmitter())).toThrow(
+        'The task must be a transform or duplex stream'
+      )
+    })
+  })
+
+  describe('with memo limits', () => {
+    it('evicts the least recently restored cells', async () => {
+      const memo = new Map()
+      const opts = { memo, maxEntries: 2 }
+
+      await run(memoize(fakeTask, opts), [
+        makeFile('a'),
+        makeFile('b'),
+        makeFile('a'),
+        makeFile('c'),
+      ])
+
+      expect(fakeFileHandler.callCount).toBe(3)
+      expect(memo.size).toBe(2)
+
+      fakeFileHandler.resetHistory()
+      fakeTask = through.obj(fakeFileHandler)
+      const output = await run(memoize(fakeTask, opts), [
+        makeFile('a'),
+        makeFile('c'),
+        makeFile('b'),
+      ])
+
+      expect(output.map((file) => String(file.contents))).toEqual([
+        'a-modified',
+        'c-modified',
+        'b-modified',
+      ])
+      expect(fakeFileHandler.callCount).toBe(1)
+    })
+
+    it('counts the identical outputs once', async () => {
+      const memo = new Map()
+      const placeholder = through.obj((file, enc, cb) => {
+        file.contents = Buffer.from('same')
+        cb(null, file)
+      })
+      const opts = { memo, maxBytes: 4, clearMemoOnFlush: false }
+
+      await run(memoize(placeholder, opts), [
+        makeFile('a'),
+        makeFile('b'),
+        makeFile('c'),
+      ])
+
+      const cells = Array.from(memo.values())
+      expect(cells).toHaveLength(3)
+      expect(cells[0][0].contents).toBe(cells[2][0].contents)
+    })
+
+    it('keeps the memo size within the bytes limit', async () => {
+      const memo = new Map()
+      const opts = { memo, maxBytes: 30 }
+      const files = () => [makeFile('aaaa'), makeFile('bbbb'), makeFile('cccc')]
+
+      await run(memoize(fakeTask, opts), files())
+
+      expect(memo.size).toBe(2)
+
+      fakeFileHandler.resetHistory()
+      fakeTask = through.obj(fakeFileHandler)
+      await run(memoize(fakeTask, opts), files().reverse())
+
+      expect(fakeFileHandler.callCount).toBe(1)
+    })
+  })
+
   it('can clear the default memo', () => {
     memoize.clearDefaultMemo()
   })